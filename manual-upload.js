@@ -16,20 +16,57 @@ const sleep = (ms) => {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-// Function to read JSON file and upload data to Firestore
-async function uploadJsonToFirestore(data, collectionName, batchSize = 50) {
+// Reads the value at a dotted field path as an id
+const getIdValue = (item, path, position) => {
+  const value = path.split('.').reduce((obj, key) => (obj && typeof obj === 'object' ? obj[key] : undefined), item);
+  if (typeof value !== 'string' && !(typeof value === 'number' && Number.isFinite(value))) {
+    throw new Error(`Item ${position} has no string or number ${path} for its id`);
+  }
+  return String(value);
+}
+
+// Builds a document id from a field ('slug') or a template ('{slug}-{year}')
+// and checks that Firestore accepts it
+const getDocumentId = (item, idField, position) => {
+  const id = idField.includes('{')
+    ? idField.replace(/\{([^{}]+)\}/g, (_, path) => getIdValue(item, path.trim(), position))
+    : getIdValue(item, idField, position);
+
+  if (id === '' || id.includes('/') || id === '.' || id === '..' || /^__.*__$/.test(id) || Buffer.byteLength(id) > 1500) {
+    throw new Error(`Item ${position}: "${id}" is not a valid Firestore document id`);
+  }
+  return id;
+}
+
+// Function to read JSON file and upload data to Firestore.
+// Without idField, Firestore generates the document ids.
+async function uploadJsonToFirestore(data, collectionName, batchSize = 50, idField = null) {
   try {
     const collectionRef = db.collection(collectionName);
     const totalBatches = Math.ceil(data.length / batchSize);
     let uploadedCount = 0;
 
+    // Resolve every id before writing anything, so a bad record doesn't leave a partial upload
+    const docRefs = data.map((item, index) => {
+      if (!idField) return collectionRef.doc();
+      return collectionRef.doc(getDocumentId(item, idField, index + 1));
+    });
+    if (idField) {
+      const ids = new Set();
+      docRefs.forEach((docRef, index) => {
+        if (ids.has(docRef.id)) {
+          throw new Error(`Item ${index + 1}: duplicate document id "${docRef.id}"`);
+        }
+        ids.add(docRef.id);
+      });
+    }
+
     for (let i = 0; i < data.length; i += batchSize) {
       const batch = db.batch();
       const batchData = data.slice(i, i + batchSize);
 
       batchData.forEach((item, index) => {
-        const docRef = collectionRef.doc(`doc_${i + index + 1}`);
-        batch.set(docRef, item);
+        batch.set(docRefs[i + index], item);
       });
 
       await batch.commit();
@@ -53,6 +90,7 @@ async function uploadJsonToFirestore(data, collectionName, batchSize = 50) {
 // Example usage
 const filePath = 'manhwa-komikindo.json'; // Placeholder for JSON file path
 const collectionName = 'manhwa'; // Placeholder for Firestore collection name
+const idField = null; // e.g. 'slug' or '{slug}-{year}'; null lets Firestore generate ids
 
 fs.readFile(filePath, 'utf8', (err, data) => {
   if (err) {
@@ -62,7 +100,7 @@ fs.readFile(filePath, 'utf8', (err, data) => {
 
   try {
     const jsonData = JSON.parse(data);
-    uploadJsonToFirestore(jsonData, collectionName, 50); // Default batchSize is set to 50
+    uploadJsonToFirestore(jsonData, collectionName, 50, idField); // Default batchSize is set to 50
   } catch (error) {
     console.error('Error parsing JSON data:', error);
   }
@@ -1,19 +1,34 @@
 import { Hono } from "hono";
 import { cors } from "hono/cors";
+import { Validator } from "@cfworker/json-schema";
+import { strFromU8, strToU8, unzipSync, zipSync } from "fflate";
 
 const app = new Hono();
 
+// CORS_ORIGINS lists the frontends allowed to call the API, comma-separated;
+// "*" allows any origin.
+const DEFAULT_CORS_ORIGINS = "https://revansp.github.io";
+
 app.use(
   "/*",
   cors({
-    origin: "https://revansp.github.io",
-    allowMethods: ["GET", "POST", "OPTIONS"],
-    allowHeaders: ["Content-Type", "Authorization"],
+    origin: (origin, c) => {
+      const allowed = (c.env?.CORS_ORIGINS || DEFAULT_CORS_ORIGINS)
+        .split(",")
+        .map((value) => value.trim().replace(/\/+$/, ""));
+      if (allowed.includes("*")) return "*";
+      return allowed.includes(origin) ? origin : null;
+    },
+    allowMethods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    allowHeaders: [
+      "Content-Type",
+      "Authorization",
+      "X-Session-Token",
+      "X-API-Key",
+    ],
   }),
 );
 
-let isValidServiceAccount = false;
-
 function validateServiceAccountStructure(serviceAccount) {
   const requiredFields = [
     "type",
@@ -56,7 +71,58 @@ function validateServiceAccountStructure(serviceAccount) {
   };
 }
 
-async function validateServiceAccountComplete(serviceAccount) {
+// The emulator takes any project id and never checks credentials, so the
+// only thing worth validating is that it answers for this project.
+async function validateEmulatorProject(serviceAccount, options) {
+  const validationResult = {
+    valid: false,
+    checks: {
+      structure: false,
+      firestore: false,
+    },
+    accountInfo: null,
+    errors: [],
+  };
+
+  if (!serviceAccount || typeof serviceAccount.project_id !== "string") {
+    validationResult.errors.push({
+      type: "structure",
+      message: "Invalid service account structure",
+      details: { missingFields: true },
+    });
+    return validationResult;
+  }
+  validationResult.checks.structure = true;
+
+  const target = createFirestoreTarget(serviceAccount, options);
+  try {
+    await listCollectionIds(target);
+    validationResult.checks.firestore = true;
+  } catch (error) {
+    validationResult.errors.push({
+      type: "firestore",
+      message: `Firestore emulator at ${target.baseUrl} is not reachable`,
+      details: error.message,
+    });
+    return validationResult;
+  }
+
+  validationResult.accountInfo = {
+    projectId: target.projectId,
+    databaseId: target.databaseId,
+    emulator: target.baseUrl,
+    validatedAt: new Date().toISOString(),
+  };
+  validationResult.valid = true;
+  return validationResult;
+}
+
+async function validateServiceAccountComplete(serviceAccount, options = {}) {
+  if (options.emulatorHost) {
+    return validateEmulatorProject(serviceAccount, options);
+  }
+
+  const databaseId = options.databaseId || DEFAULT_DATABASE_ID;
   const validationResult = {
     valid: false,
     checks: {
@@ -122,7 +188,7 @@ async function validateServiceAccountComplete(serviceAccount) {
     // 5. Firestore access validation
     console.log("Starting Firestore validation...");
     const firestoreCheck = await validateFirestoreAccess(
-      serviceAccount,
+      createFirestoreTarget(serviceAccount, options),
       accessToken,
     );
     validationResult.checks.firestore = firestoreCheck.valid;
@@ -146,6 +212,7 @@ async function validateServiceAccountComplete(serviceAccount) {
     validationResult.accountInfo = {
       email: serviceAccount.client_email,
       projectId: serviceAccount.project_id,
+      databaseId,
       keyId: serviceAccount.private_key_id,
       clientId: serviceAccount.client_id,
       validatedAt: new Date().toISOString(),
@@ -223,10 +290,10 @@ async function validateFirebaseProject(serviceAccount, accessToken) {
   }
 }
 
-async function validateFirestoreAccess(serviceAccount, accessToken) {
+async function validateFirestoreAccess(target, accessToken) {
   try {
     const response = await fetch(
-      `https://firestore.googleapis.com/v1/projects/${serviceAccount.project_id}/databases/(default)`,
+      `${target.baseUrl}/projects/${target.projectId}/databases/${target.databaseId}`,
       {
         headers: {
           Authorization: `Bearer ${accessToken}`,
@@ -251,7 +318,7 @@ async function validateFirestoreAccess(serviceAccount, accessToken) {
 
     try {
       const collectionsResponse = await fetch(
-        `https://firestore.googleapis.com/v1/projects/${serviceAccount.project_id}/databases/(default)/documents:listCollectionIds`,
+        `${target.baseUrl}/${firestoreDocumentsRoot(target)}:listCollectionIds`,
         {
           method: "POST",
           headers: {
@@ -353,13 +420,65 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-async function getAccessToken(serviceAccount) {
+const GOOGLE_API_SCOPES =
+  "https://www.googleapis.com/auth/cloud-platform https://www.googleapis.com/auth/datastore https://www.googleapis.com/auth/firebase";
+
+// Cached tokens are handed out until this close to expiry, so work that
+// starts with a cached token still finishes before Google rejects it.
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+const accessTokenCache = new Map();
+
+async function accessTokenCacheKey(serviceAccount, scope) {
+  // Hash the private key into the key so nobody can pick up a cached token
+  // just by presenting another account's client_email.
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(
+      `${serviceAccount.client_email}\n${scope}\n${serviceAccount.private_key}`,
+    ),
+  );
+  return bytesToBase64(digest);
+}
+
+async function getAccessToken(serviceAccount, scope = GOOGLE_API_SCOPES) {
+  const cacheKey = await accessTokenCacheKey(serviceAccount, scope);
+  const now = Date.now();
+  let entry = accessTokenCache.get(cacheKey);
+
+  if (!entry || entry.expiresAt - TOKEN_REFRESH_MARGIN_MS <= now) {
+    for (const [key, cached] of accessTokenCache) {
+      if (cached.expiresAt <= now) accessTokenCache.delete(key);
+    }
+
+    // Concurrent callers share the pending request instead of each signing
+    // a JWT of their own.
+    entry = {
+      expiresAt: Infinity,
+      token: requestAccessToken(serviceAccount, scope),
+    };
+    accessTokenCache.set(cacheKey, entry);
+    entry.token.then(
+      ({ expiresAt }) => {
+        entry.expiresAt = expiresAt;
+      },
+      () => {
+        if (accessTokenCache.get(cacheKey) === entry) {
+          accessTokenCache.delete(cacheKey);
+        }
+      },
+    );
+  }
+
+  return (await entry.token).accessToken;
+}
+
+async function requestAccessToken(serviceAccount, scope) {
   const now = Math.floor(Date.now() / 1000);
   const jwt = await createJWT(
     {
       iss: serviceAccount.client_email,
-      scope:
-        "https://www.googleapis.com/auth/cloud-platform https://www.googleapis.com/auth/datastore https://www.googleapis.com/auth/firebase",
+      scope,
       aud: "https://oauth2.googleapis.com/token",
       exp: now + 3600,
       iat: now,
@@ -386,7 +505,10 @@ async function getAccessToken(serviceAccount) {
   }
 
   const data = await response.json();
-  return data.access_token;
+  return {
+    accessToken: data.access_token,
+    expiresAt: Date.now() + (data.expires_in || 3600) * 1000,
+  };
 }
 
 async function createJWT(payload, privateKey) {
@@ -449,231 +571,1990 @@ function str2ab(str) {
   return buf;
 }
 
-async function getRootCollectionIds(projectId, accessToken) {
+const FIRESTORE_API_URL = "https://firestore.googleapis.com/v1";
+
+// FIRESTORE_EMULATOR_HOST takes the same "host:port" form the Firebase SDKs
+// read; a full URL is accepted too.
+function firestoreEmulatorUrl(emulatorHost) {
+  const origin = /^https?:\/\//.test(emulatorHost)
+    ? emulatorHost
+    : `http://${emulatorHost}`;
+  return `${origin.replace(/\/+$/, "")}/v1`;
+}
+
+// Identifies the database a Firestore REST call goes to and how it
+// authenticates. Calls ask for a token every time instead of holding one, so
+// long uploads and backups keep picking up refreshed tokens from the cache.
+function createFirestoreTarget(serviceAccount, options = {}) {
+  return {
+    projectId: serviceAccount.project_id,
+    databaseId: options.databaseId || DEFAULT_DATABASE_ID,
+    serviceAccount,
+    baseUrl: options.emulatorHost
+      ? firestoreEmulatorUrl(options.emulatorHost)
+      : FIRESTORE_API_URL,
+    emulator: !!options.emulatorHost,
+    subrequests: options.subrequests,
+  };
+}
+
+function firestoreDocumentsRoot(target) {
+  return `projects/${target.projectId}/databases/${target.databaseId}/documents`;
+}
+
+const DEFAULT_DATABASE_ID = "(default)";
+
+function parseDatabaseId(value) {
+  if (value === undefined || value === "") return undefined;
+  if (
+    value !== DEFAULT_DATABASE_ID &&
+    !/^[a-z][a-z0-9-]{2,61}[a-z0-9]$/.test(value)
+  ) {
+    throw new Error(`Invalid databaseId: ${value}`);
+  }
+  return value;
+}
+
+async function listDatabases(serviceAccount) {
   const response = await fetch(
-    `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents:listCollectionIds`,
+    `${FIRESTORE_API_URL}/projects/${serviceAccount.project_id}/databases`,
     {
-      method: "POST",
       headers: {
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Type": "application/json",
+        Authorization: `Bearer ${await getAccessToken(serviceAccount)}`,
       },
-      body: JSON.stringify({}),
     },
   );
 
   if (!response.ok) {
-    throw new Error(`Failed to fetch collection IDs: ${response.statusText}`);
+    throw await createFirestoreError(response, "Failed to list databases");
   }
 
   const data = await response.json();
-  return data.collectionIds || [];
+  return (data.databases || []).map((database) => ({
+    databaseId: database.name.split("/").pop(),
+    locationId: database.locationId,
+    type: database.type,
+    concurrencyMode: database.concurrencyMode,
+    createTime: database.createTime,
+  }));
 }
 
-async function getDocumentsInCollection(
-  projectId,
-  accessToken,
-  collectionName,
-) {
-  const url = `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents/${collectionName}`;
+// The emulator doesn't check tokens; "owner" is its admin token and also
+// bypasses security rules, like a service account would.
+async function getTargetAccessToken(target) {
+  if (target.emulator) return "owner";
+  return getAccessToken(target.serviceAccount);
+}
 
-  const response = await fetch(url, {
+// Firestore REST calls on behalf of `target`. A target created with a
+// `subrequests` counter counts them, so job slices can stop short of the
+// Workers subrequest limit.
+async function firestoreFetch(target, url, init = {}) {
+  if (target.subrequests) target.subrequests.count++;
+  return fetch(url, {
+    ...init,
     headers: {
-      Authorization: `Bearer ${accessToken}`,
+      Authorization: `Bearer ${await getTargetAccessToken(target)}`,
+      ...init.headers,
     },
   });
+}
 
-  if (!response.ok) {
-    throw new Error(
-      `Failed to fetch documents for ${collectionName}: ${response.statusText}`,
-    );
-  }
+async function listCollectionIds(target, documentPath = "") {
+  const parent = documentPath ? `/${documentPath}` : "";
+  const collectionIds = [];
+  let pageToken;
 
-  const data = await response.json();
+  do {
+    const response = await firestoreFetch(
+      target,
+      `${target.baseUrl}/${firestoreDocumentsRoot(target)}${parent}:listCollectionIds`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(pageToken ? { pageToken } : {}),
+      },
+    );
 
-  return (data.documents || []).map((doc) => {
-    const fields = {};
-    for (const [key, value] of Object.entries(doc.fields)) {
-      fields[key] = parseFirestoreValue(value);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch collection IDs: ${response.statusText}`);
     }
-    return {
-      id: doc.name.split("/").pop(),
-      ...fields,
-    };
-  });
+
+    const data = await response.json();
+    collectionIds.push(...(data.collectionIds || []));
+    pageToken = data.nextPageToken;
+  } while (pageToken);
+
+  return collectionIds;
 }
 
-function parseFirestoreValue(value) {
-  if ("stringValue" in value) return value.stringValue;
-  if ("integerValue" in value) return parseInt(value.integerValue);
-  if ("doubleValue" in value) return value.doubleValue;
-  if ("booleanValue" in value) return value.booleanValue;
-  if ("nullValue" in value) return null;
-  if ("mapValue" in value) {
-    const obj = {};
-    const fields = value.mapValue.fields || {};
-    for (const [k, v] of Object.entries(fields)) {
-      obj[k] = parseFirestoreValue(v);
+// `options.page`, when given, lets a caller resume a listing: the listing
+// starts `page.offset` documents into the page at `page.token` and keeps
+// both pointing at the next document, so a document the caller stopped in
+// the middle of comes again. Once `options.stop()` returns true the listing
+// ends before the next page or document, though every page it fetches
+// yields at least one. `token` is undefined when every page was read.
+async function* iterateCollectionDocuments(
+  target,
+  collectionPath,
+  pageSize,
+  options = {},
+) {
+  const { page, stop = () => false } = options;
+  const url = `${target.baseUrl}/${firestoreDocumentsRoot(target)}/${collectionPath}`;
+  let pageToken = page?.token;
+  let skip = page?.offset || 0;
+
+  // Firestore caps every list response, so keep following nextPageToken
+  // until the collection is exhausted.
+  do {
+    const params = new URLSearchParams();
+    if (pageSize) params.set("pageSize", pageSize);
+    if (pageToken) params.set("pageToken", pageToken);
+    // Documents that only exist as parents of subcollections are hidden
+    // unless showMissing is set.
+    if (options.showMissing) params.set("showMissing", "true");
+
+    const query = params.toString();
+    const response = await firestoreFetch(
+      target,
+      query ? `${url}?${query}` : url,
+    );
+
+    if (!response.ok) {
+      throw new Error(
+        `Failed to fetch documents for ${collectionPath}: ${response.statusText}`,
+      );
     }
-    return obj;
+
+    const data = await response.json();
+    const documents = (data.documents || []).slice(skip);
+    for (const [index, doc] of documents.entries()) {
+      if (index > 0 && stop()) return;
+      yield parseFirestoreDocument(doc, options);
+      if (page) page.offset = skip + index + 1;
+    }
+    pageToken = data.nextPageToken;
+    skip = 0;
+    if (page) Object.assign(page, { token: pageToken, offset: 0 });
+  } while (pageToken && !stop());
+}
+
+const FILTER_OPERATORS = {
+  "==": "EQUAL",
+  "!=": "NOT_EQUAL",
+  "<": "LESS_THAN",
+  "<=": "LESS_THAN_OR_EQUAL",
+  ">": "GREATER_THAN",
+  ">=": "GREATER_THAN_OR_EQUAL",
+  "array-contains": "ARRAY_CONTAINS",
+  "array-contains-any": "ARRAY_CONTAINS_ANY",
+  in: "IN",
+  "not-in": "NOT_IN",
+};
+
+const INEQUALITY_OPERATORS = ["!=", "<", "<=", ">", ">=", "not-in"];
+
+const DEFAULT_QUERY_PAGE_SIZE = 300;
+
+// Dotted paths like "address.city"; segments that aren't plain identifiers
+// are backquoted the way Firestore expects.
+function toFieldPath(path) {
+  return path.split(".").map(quoteFieldPathSegment).join(".");
+}
+
+function getFieldValue(fields, path) {
+  let value = { mapValue: { fields } };
+  for (const segment of path.split(".")) {
+    value = value?.mapValue?.fields?.[segment];
   }
-  if ("arrayValue" in value) {
-    const arr = value.arrayValue.values || [];
-    return arr.map(parseFirestoreValue);
+  return value;
+}
+
+// Accepts a JSON array or a comma-separated list.
+function parseList(value) {
+  if (value === undefined || value === "") return undefined;
+  if (Array.isArray(value)) return value;
+  if (value.trim().startsWith("[")) return JSON.parse(value);
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function parseJsonOption(value) {
+  if (value === undefined || value === "") return undefined;
+  return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+function normalizeFilter(filter) {
+  const { field, op, value } = Array.isArray(filter)
+    ? { field: filter[0], op: filter[1], value: filter[2] }
+    : filter;
+
+  if (typeof field !== "string" || !field) {
+    throw new Error("Every where filter needs a field");
   }
-  return null;
+  if (!(op in FILTER_OPERATORS)) {
+    throw new Error(`Unsupported where operator: ${op}`);
+  }
+  return { field, op, value };
 }
 
-async function uploadDocument(
-  projectId,
-  accessToken,
-  collectionName,
-  docId,
-  docData,
-) {
-  const url = `https://firestore.googleapis.com/v1/projects/${projectId}/databases/(default)/documents/${collectionName}/${docId}`;
+function buildFieldFilter({ field, op, value }) {
+  if (value === null && (op === "==" || op === "!=")) {
+    return {
+      unaryFilter: {
+        field: { fieldPath: toFieldPath(field) },
+        op: op === "==" ? "IS_NULL" : "IS_NOT_NULL",
+      },
+    };
+  }
 
-  const response = await fetch(url, {
-    method: "PATCH",
-    headers: {
-      Authorization: `Bearer ${accessToken}`,
-      "Content-Type": "application/json",
+  return {
+    fieldFilter: {
+      field: { fieldPath: toFieldPath(field) },
+      op: FILTER_OPERATORS[op],
+      value: toFirestoreValue(value),
     },
-    body: JSON.stringify({
-      fields: convertToFirestoreFields(docData),
-    }),
-  });
-
-  return response.ok;
+  };
 }
 
-function convertToFirestoreFields(obj) {
-  const fields = {};
+function parseOrderBy(value) {
+  if (value === undefined || value === "") return [];
+  const orders =
+    typeof value === "string" && !value.trim().startsWith("[")
+      ? value.split(",").map((order) => {
+          const [field, direction] = order.trim().split(/\s+/);
+          return { field, direction };
+        })
+      : parseJsonOption(value);
 
-  for (const [key, value] of Object.entries(obj)) {
-    if (value === null) {
-      fields[key] = { nullValue: null };
-    } else if (typeof value === "boolean") {
-      fields[key] = { booleanValue: value };
-    } else if (typeof value === "number") {
-      if (Number.isInteger(value)) {
-        fields[key] = { integerValue: value.toString() };
-      } else {
-        fields[key] = { doubleValue: value };
-      }
-    } else if (typeof value === "string") {
-      fields[key] = { stringValue: value };
-    } else if (Array.isArray(value)) {
-      fields[key] = {
-        arrayValue: {
-          values: value.map((v) => convertToFirestoreFields({ temp: v }).temp),
-        },
-      };
-    } else if (typeof value === "object") {
-      fields[key] = { mapValue: { fields: convertToFirestoreFields(value) } };
+  return orders.map(({ field, direction = "asc" }) => {
+    if (!["asc", "desc"].includes(direction.toLowerCase())) {
+      throw new Error(`Unsupported orderBy direction: ${direction}`);
     }
+    return { field, direction: direction.toLowerCase() };
+  });
+}
+
+// Reads the include/exclude lists and the optional runQuery options of a
+// backup request. Throws with a message suitable for a 400 response.
+function parseBackupSelection(c, fields) {
+  const include = parseList(readOption(c, fields, "include"));
+  const exclude = parseList(readOption(c, fields, "exclude")) || [];
+  if (include && include.some((id) => id.includes("/"))) {
+    throw new Error("include only accepts root collection ids");
   }
 
-  return fields;
+  let where = parseJsonOption(readOption(c, fields, "where")) || [];
+  // A single [field, op, value] tuple or filter object is fine too.
+  if (!Array.isArray(where) || typeof where[0] === "string") {
+    where = [where];
+  }
+  const filters = where.map(normalizeFilter);
+  const query = {
+    where: filters.map(buildFieldFilter),
+    inequalityFields: filters
+      .filter((filter) => INEQUALITY_OPERATORS.includes(filter.op))
+      .map((filter) => filter.field),
+    orderBy: parseOrderBy(readOption(c, fields, "orderBy")),
+    limit: parsePositiveInteger(readOption(c, fields, "limit"), "limit"),
+    select: parseList(readOption(c, fields, "select")),
+  };
+  const hasQuery =
+    query.where.length > 0 ||
+    query.orderBy.length > 0 ||
+    query.limit !== undefined ||
+    query.select !== undefined;
+
+  return { include, exclude, query: hasQuery ? query : undefined };
 }
 
-async function parseMultipartForm(request) {
-  const formData = await request.formData();
-  const files = {};
-  const fields = {};
+async function resolveBackupCollections(target, selection = {}) {
+  const collections = selection.include || (await listCollectionIds(target));
+  const exclude = selection.exclude || [];
+  return collections.filter((id) => !exclude.includes(id));
+}
 
-  for (const [key, value] of formData.entries()) {
-    if (value instanceof File) {
-      files[key] = [
-        {
-          originalFilename: value.name,
-          buffer: await value.arrayBuffer(),
+function combineFilters(filters) {
+  return filters.length === 1
+    ? filters[0]
+    : { compositeFilter: { op: "AND", filters } };
+}
+
+// Counts a root collection with a server-side aggregation, honouring the
+// backup's filters and limit.
+async function countDocuments(target, collectionId, query) {
+  const structuredQuery = { from: [{ collectionId }] };
+  if (query && query.where.length) {
+    structuredQuery.where = combineFilters(query.where);
+  }
+
+  const response = await firestoreFetch(
+    target,
+    `${target.baseUrl}/${firestoreDocumentsRoot(target)}:runAggregationQuery`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        structuredAggregationQuery: {
+          structuredQuery,
+          aggregations: [{ alias: "count", count: {} }],
         },
-      ];
-    } else {
-      fields[key] = value;
-    }
+      }),
+    },
+  );
+
+  if (!response.ok) {
+    throw await createFirestoreError(
+      response,
+      `Failed to count ${collectionId}`,
+    );
   }
 
-  return { fields, files };
+  const [first] = await response.json();
+  const count = Number(
+    first?.result?.aggregateFields?.count?.integerValue || 0,
+  );
+  return query && query.limit !== undefined
+    ? Math.min(count, query.limit)
+    : count;
 }
 
-app.post("/validate-service-account", async (c) => {
-  try {
-    const { files } = await parseMultipartForm(c.req.raw);
-    const serviceAccountFile = files.serviceAccount && files.serviceAccount[0];
+// Runs a structured query page by page. Each page resumes after the last
+// document through a cursor on the query's ordering, which always ends in
+// __name__ so the order is total. `options.page` and `options.stop` work as
+// for iterateCollectionDocuments, with the cursor as the page token.
+async function* iterateQueryDocuments(
+  target,
+  collectionPath,
+  query,
+  pageSize,
+  options = {},
+) {
+  const segments = collectionPath.split("/");
+  const collectionId = segments.pop();
+  const parent = segments.length ? `/${segments.join("/")}` : "";
+  const url = `${target.baseUrl}/${firestoreDocumentsRoot(target)}${parent}:runQuery`;
 
-    if (!serviceAccountFile) {
-      isValidServiceAccount = false;
-      return c.json(
+  // Inequality filters need their field ordered first unless the caller
+  // already ordered on it.
+  const orderBy = [
+    ...[...new Set(query.inequalityFields)]
+      .filter((field) => !query.orderBy.some((order) => order.field === field))
+      .map((field) => ({ field, direction: "asc" })),
+    ...query.orderBy,
+  ];
+  const nameDirection = orderBy.length ? orderBy.at(-1).direction : "asc";
+
+  // Cursor values come from the documents, so the projection has to carry
+  // the ordered fields even when the caller didn't select them.
+  const select = query.select && [
+    ...new Set([...query.select, ...orderBy.map((order) => order.field)]),
+  ];
+  const selectedRoots =
+    query.select && query.select.map((p) => p.split(".")[0]);
+
+  const { page, stop = () => false } = options;
+  const total = query.limit ?? Infinity;
+  let { cursor, returned = 0 } = page?.token || {};
+  let skip = page?.offset || 0;
+
+  while (returned < total) {
+    const limit = Math.min(
+      pageSize || DEFAULT_QUERY_PAGE_SIZE,
+      total - returned,
+    );
+    const structuredQuery = {
+      from: [{ collectionId }],
+      orderBy: [
+        ...orderBy.map((order) => ({
+          field: { fieldPath: toFieldPath(order.field) },
+          direction: order.direction === "desc" ? "DESCENDING" : "ASCENDING",
+        })),
         {
-          success: false,
-          error: "No service account file uploaded",
+          field: { fieldPath: "__name__" },
+          direction: nameDirection === "desc" ? "DESCENDING" : "ASCENDING",
         },
-        400,
-      );
+      ],
+      limit,
+    };
+    if (query.where.length) {
+      structuredQuery.where = combineFilters(query.where);
+    }
+    if (select) {
+      structuredQuery.select = {
+        fields: select.map((path) => ({ fieldPath: toFieldPath(path) })),
+      };
+    }
+    if (cursor) {
+      structuredQuery.startAt = { values: cursor, before: false };
     }
 
-    let serviceAccount;
-    try {
-      serviceAccount = JSON.parse(
-        new TextDecoder().decode(serviceAccountFile.buffer),
-      );
-    } catch (error) {
-      isValidServiceAccount = false;
-      return c.json(
-        {
-          success: false,
-          error: "Invalid JSON format in service account file",
-          details: error.message,
-        },
-        400,
+    const response = await firestoreFetch(target, url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ structuredQuery }),
+    });
+
+    if (!response.ok) {
+      throw await createFirestoreError(
+        response,
+        `Failed to query ${collectionPath}`,
       );
     }
 
-    console.log("Starting comprehensive service account validation...");
-    const validationResult =
-      await validateServiceAccountComplete(serviceAccount);
+    const results = (await response.json()).filter((result) => result.document);
+    for (const [index, { document }] of results.slice(skip).entries()) {
+      if (index > 0 && stop()) return;
+      const parsed = parseFirestoreDocument(document, options);
+      if (selectedRoots) {
+        for (const key of Object.keys(parsed)) {
+          if (
+            !["id", "_id", "_path"].includes(key) &&
+            !selectedRoots.includes(key)
+          ) {
+            delete parsed[key];
+          }
+        }
+      }
+      yield parsed;
+      if (page) page.offset = skip + index + 1;
+    }
+    skip = 0;
 
-    if (!validationResult.valid) {
-      isValidServiceAccount = false;
-      return c.json(
-        {
-          success: false,
-          error: "Service account validation failed",
-          checks: validationResult.checks,
-          errors: validationResult.errors,
-          details: validationResult.errors
-            .map((e) => `${e.type}: ${e.message}`)
-            .join("; "),
-        },
-        400,
-      );
+    returned += results.length;
+    if (results.length < limit || returned >= total) {
+      if (page) Object.assign(page, { token: undefined, offset: 0 });
+      break;
     }
 
-    c.env.SERVICE_ACCOUNT = JSON.stringify(serviceAccount);
-    isValidServiceAccount = true;
+    const last = results.at(-1).document;
+    cursor = [
+      ...orderBy.map((order) => getFieldValue(last.fields || {}, order.field)),
+      { referenceValue: last.name },
+    ];
+    if (page) Object.assign(page, { token: { cursor, returned }, offset: 0 });
+    if (stop()) break;
+  }
+}
 
-    return c.json({
-      success: true,
-      message: "Service account validated successfully",
-      checks: validationResult.checks,
-      accountInfo: validationResult.accountInfo,
-      warnings: validationResult.errors.filter((e) => e.type === "warning"),
-    });
-  } catch (error) {
-    isValidServiceAccount = false;
-    console.error("Service account validation error:", error);
-    return c.json(
-      {
-        success: false,
-        error: "Validation process failed",
-        details: error.message,
-      },
-      500,
-    );
+// Walks the given collections page by page and yields a
+// { type: "collection" } header before each collection's
+// { type: "document" } records, so callers can stream or collect them.
+async function* iterateBackupRecords(target, collectionPaths, options = {}) {
+  for (const collectionPath of collectionPaths) {
+    yield* iterateCollectionRecords(target, collectionPath, options);
   }
-});
+}
+
+// With `since` set, documents that haven't changed since then are only
+// listed as { type: "unchanged" } records, so an incremental backup still
+// tells which documents exist.
+//
+// `options.walk` makes the walk resumable. `walk.levels` holds a listing
+// page (see iterateCollectionDocuments) for each collection depth being
+// walked, whose `subcollection` tells which subcollection of the current
+// document the walk is in. Once `walk.stop()` returns true, the walk ends
+// before the next page, document or subcollection and leaves `walk.stopped`
+// set; walking again with the same `walk` carries on from there.
+async function* iterateCollectionRecords(
+  target,
+  collectionPath,
+  options,
+  depth = 0,
+) {
+  const { recursive, typed, pageSize, query, since, walk } = options;
+  const includePath = recursive || Boolean(options.includePath);
+  const includeUpdateTime = options.updateTimes || since !== undefined;
+
+  let level = walk?.levels[depth];
+  if (!level) {
+    level = { token: undefined, offset: 0, subcollection: undefined };
+    walk?.levels.push(level);
+    yield {
+      type: "collection",
+      collection: collectionPath.split("/").pop(),
+      path: collectionPath,
+    };
+  }
+
+  // Filters and projections select from the root collections; anything
+  // found underneath them is exported whole.
+  const listing = {
+    typed,
+    includePath,
+    includeUpdateTime,
+    page: level,
+    stop: walk?.stop,
+  };
+  const documents =
+    query && !collectionPath.includes("/")
+      ? iterateQueryDocuments(target, collectionPath, query, pageSize, listing)
+      : iterateCollectionDocuments(target, collectionPath, pageSize, {
+          ...listing,
+          showMissing: recursive,
+        });
+
+  for await (const doc of documents) {
+    // A walk resumed inside a document's subcollections already wrote the
+    // document itself.
+    if (level.subcollection === undefined && !doc._missing) {
+      yield since !== undefined && Date.parse(doc._updateTime) <= since
+        ? { type: "unchanged", path: collectionPath, id: parsedDocumentId(doc) }
+        : {
+            type: "document",
+            path: collectionPath,
+            // Typed exports are already exact; rewriting maps would corrupt
+            // them.
+            document: typed ? doc : firestoreTimestampsToISO(doc),
+          };
+    }
+
+    if (recursive) {
+      level.subcollection ??= 0;
+      if (walk?.stop()) return;
+      const subcollectionIds = await listCollectionIds(target, doc._path);
+      while (level.subcollection < subcollectionIds.length) {
+        if (walk?.stop()) return;
+        yield* iterateCollectionRecords(
+          target,
+          `${doc._path}/${subcollectionIds[level.subcollection]}`,
+          options,
+          depth + 1,
+        );
+        if (walk?.stopped) return;
+        if (walk) walk.levels.length = depth + 1;
+        level.subcollection++;
+      }
+      level.subcollection = undefined;
+    }
+  }
+}
+
+// Rebuilds the nested /backup response from backup records. Parents that
+// only exist because of their subcollections come back as `_missing` stubs.
+async function collectBackupRecords(records) {
+  const collections = [];
+  const collectionsByPath = new Map();
+  const documentsByPath = new Map();
+  let totalDocuments = 0;
+
+  for await (const record of records) {
+    if (record.type === "collection") {
+      const entry = {
+        collection: record.collection,
+        documentCount: 0,
+        documents: [],
+      };
+      collectionsByPath.set(record.path, entry);
+
+      const segments = record.path.split("/");
+      if (segments.length === 1) {
+        collections.push(entry);
+        continue;
+      }
+
+      const parentPath = segments.slice(0, -1).join("/");
+      let parent = documentsByPath.get(parentPath);
+      if (!parent) {
+        parent = { id: segments.at(-2), _path: parentPath, _missing: true };
+        documentsByPath.set(parentPath, parent);
+        collectionsByPath
+          .get(segments.slice(0, -2).join("/"))
+          .documents.push(parent);
+      }
+      parent._subcollections = parent._subcollections || [];
+      parent._subcollections.push(entry);
+    } else if (record.type === "document") {
+      const entry = collectionsByPath.get(record.path);
+      entry.documents.push(record.document);
+      entry.documentCount++;
+      totalDocuments++;
+      if (record.document._path) {
+        documentsByPath.set(record.document._path, record.document);
+      }
+    } else if (record.type === "unchanged") {
+      const entry = collectionsByPath.get(record.path);
+      entry.unchanged = entry.unchanged || [];
+      entry.unchanged.push(record.id);
+    }
+  }
+
+  return { collections, totalDocuments };
+}
+
+function parseFirestoreDocument(doc, options = {}) {
+  const fields = {};
+  for (const [key, value] of Object.entries(doc.fields || {})) {
+    fields[key] = parseFirestoreValue(value, options);
+  }
+  const id = doc.name.split("/").pop();
+  const parsed = { id, ...fields };
+  // A stored `id` field keeps its key, so the document id moves to `_id`.
+  if ("id" in fields) parsed._id = id;
+  if (options.includePath) {
+    parsed._path = doc.name.split("/documents/").slice(1).join("/documents/");
+    // Listings with showMissing return parents without createTime.
+    if (!doc.createTime) parsed._missing = true;
+  }
+  if (options.includeUpdateTime && doc.updateTime) {
+    parsed._updateTime = doc.updateTime;
+  }
+  return parsed;
+}
+
+// The document id of a document parsed by parseFirestoreDocument.
+function parsedDocumentId(document) {
+  return document._id ?? document.id;
+}
+
+function parseBoolean(value) {
+  return value === true || value === "true" || value === "1";
+}
+
+// Options may arrive as multipart fields or on the query string.
+function readOption(c, fields, name) {
+  return fields[name] ?? c.req.query(name);
+}
+
+function parsePositiveInteger(value, name, max = Infinity) {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0 || number > max) {
+    throw new Error(
+      max === Infinity
+        ? `${name} must be a positive integer`
+        : `${name} must be an integer between 1 and ${max}`,
+    );
+  }
+  return number;
+}
+
+// With `typed` set, values JSON can't represent faithfully are wrapped as
+// { __type, value } so convertToFirestoreFields can restore the original type.
+function parseFirestoreValue(value, options = {}) {
+  const { typed } = options;
+
+  if ("stringValue" in value) return value.stringValue;
+  if ("integerValue" in value) {
+    const number = parseInt(value.integerValue);
+    if (typed && !Number.isSafeInteger(number)) {
+      return { __type: "integer", value: value.integerValue };
+    }
+    return number;
+  }
+  if ("doubleValue" in value) {
+    const number = Number(value.doubleValue);
+    // 1.0 would come back as an integer, and JSON has no NaN or Infinity.
+    if (typed && (Number.isInteger(number) || !Number.isFinite(number))) {
+      return { __type: "double", value: value.doubleValue };
+    }
+    return value.doubleValue;
+  }
+  if ("booleanValue" in value) return value.booleanValue;
+  if ("nullValue" in value) return null;
+  if ("timestampValue" in value) {
+    return typed
+      ? { __type: "timestamp", value: value.timestampValue }
+      : value.timestampValue;
+  }
+  if ("geoPointValue" in value) {
+    const geoPoint = {
+      latitude: value.geoPointValue.latitude || 0,
+      longitude: value.geoPointValue.longitude || 0,
+    };
+    return typed ? { __type: "geopoint", value: geoPoint } : geoPoint;
+  }
+  if ("referenceValue" in value) {
+    const path = value.referenceValue
+      .split("/documents/")
+      .slice(1)
+      .join("/documents/");
+    return typed ? { __type: "reference", value: path } : path;
+  }
+  if ("bytesValue" in value) {
+    return typed
+      ? { __type: "bytes", value: value.bytesValue }
+      : value.bytesValue;
+  }
+  if ("mapValue" in value) {
+    const obj = {};
+    const fields = value.mapValue.fields || {};
+    for (const [k, v] of Object.entries(fields)) {
+      obj[k] = parseFirestoreValue(v, options);
+    }
+    // Keep a real map that happens to look like a typed value unambiguous.
+    if (typed && isTypedValue(obj)) {
+      return { __type: "map", value: obj };
+    }
+    return obj;
+  }
+  if ("arrayValue" in value) {
+    const arr = value.arrayValue.values || [];
+    return arr.map((v) => parseFirestoreValue(v, options));
+  }
+  return null;
+}
+
+const TYPED_VALUE_TYPES = [
+  "integer",
+  "double",
+  "timestamp",
+  "geopoint",
+  "reference",
+  "bytes",
+  "map",
+];
+
+function isTypedValue(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return (
+    keys.length === 2 &&
+    "value" in value &&
+    TYPED_VALUE_TYPES.includes(value.__type)
+  );
+}
+
+const MAX_BATCH_WRITES = 500;
+
+const WRITE_MODES = ["create", "overwrite", "merge", "skip-existing"];
+
+// google.rpc.Code values reported per write by batchWrite.
+const RPC_CODES = {
+  CANCELLED: 1,
+  UNKNOWN: 2,
+  INVALID_ARGUMENT: 3,
+  DEADLINE_EXCEEDED: 4,
+  NOT_FOUND: 5,
+  ALREADY_EXISTS: 6,
+  PERMISSION_DENIED: 7,
+  RESOURCE_EXHAUSTED: 8,
+  FAILED_PRECONDITION: 9,
+  ABORTED: 10,
+  OUT_OF_RANGE: 11,
+  UNIMPLEMENTED: 12,
+  INTERNAL: 13,
+  UNAVAILABLE: 14,
+  DATA_LOSS: 15,
+  UNAUTHENTICATED: 16,
+};
+
+// The HTTP status Firestore answers with for each google.rpc.Code.
+const RPC_HTTP_STATUSES = {
+  CANCELLED: 499,
+  UNKNOWN: 500,
+  INVALID_ARGUMENT: 400,
+  DEADLINE_EXCEEDED: 504,
+  NOT_FOUND: 404,
+  ALREADY_EXISTS: 409,
+  PERMISSION_DENIED: 403,
+  RESOURCE_EXHAUSTED: 429,
+  FAILED_PRECONDITION: 400,
+  ABORTED: 409,
+  OUT_OF_RANGE: 400,
+  UNIMPLEMENTED: 501,
+  INTERNAL: 500,
+  UNAVAILABLE: 503,
+  DATA_LOSS: 500,
+  UNAUTHENTICATED: 401,
+};
+
+const RETRYABLE_HTTP_STATUSES = [429, 503];
+const RETRYABLE_RPC_STATUSES = ["ABORTED", "RESOURCE_EXHAUSTED", "UNAVAILABLE"];
+const MAX_WRITE_ATTEMPTS = 5;
+
+function rpcCodeName(code) {
+  return (
+    Object.keys(RPC_CODES).find((name) => RPC_CODES[name] === code) || "UNKNOWN"
+  );
+}
+
+// Turns a failed Firestore response into an Error that keeps the HTTP
+// status, the google.rpc status name and whether the call is worth retrying.
+async function createFirestoreError(response, message) {
+  const errorData = await response.json().catch(() => ({}));
+  const error = new Error(
+    `${message}: ${errorData.error?.message || response.statusText}`,
+  );
+  error.httpStatus = response.status;
+  error.code = errorData.error?.status;
+  error.retryable =
+    RETRYABLE_HTTP_STATUSES.includes(response.status) ||
+    RETRYABLE_RPC_STATUSES.includes(error.code);
+  return error;
+}
+
+// Firestore's 500/50/5 rule: new write traffic starts at 500 operations per
+// second and grows by 50% every 5 minutes. RESOURCE_EXHAUSTED halves the
+// current rate and restarts the ramp from there. A throttle is plain data so
+// it survives being stored with a job's parameters.
+const WRITE_RAMP_START_RATE = 500;
+const WRITE_RAMP_GROWTH = 1.5;
+const WRITE_RAMP_INTERVAL_MS = 5 * 60 * 1000;
+const MIN_WRITE_RATE = 5;
+
+function createWriteThrottle(rate = WRITE_RAMP_START_RATE) {
+  const now = Date.now();
+  return { baseRate: rate, rampStartedAt: now, nextWriteAt: now };
+}
+
+function currentWriteRate(throttle, now = Date.now()) {
+  const steps = Math.floor(
+    Math.max(0, now - throttle.rampStartedAt) / WRITE_RAMP_INTERVAL_MS,
+  );
+  return throttle.baseRate * WRITE_RAMP_GROWTH ** steps;
+}
+
+// Waits until `count` more writes fit under the current rate. Concurrent
+// batches queue up behind each other instead of bursting.
+async function acquireWrites(throttle, count) {
+  const now = Date.now();
+  const start = Math.max(now, throttle.nextWriteAt);
+  throttle.nextWriteAt =
+    start + (count / currentWriteRate(throttle, start)) * 1000;
+  if (start > now) {
+    await sleep(start - now);
+  }
+}
+
+function slowDownWrites(throttle) {
+  const now = Date.now();
+  throttle.baseRate = Math.max(
+    MIN_WRITE_RATE,
+    currentWriteRate(throttle, now) / 2,
+  );
+  throttle.rampStartedAt = now;
+}
+
+function backoffDelay(attempt) {
+  // 1s, 2s, 4s, ... with jitter so concurrent batches don't retry in lockstep.
+  return 1000 * 2 ** (attempt - 1) + Math.floor(Math.random() * 250);
+}
+
+async function getExistingDocuments(target, paths) {
+  const documentsRoot = firestoreDocumentsRoot(target);
+  const existing = new Map();
+  if (paths.length === 0) return existing;
+
+  const response = await firestoreFetch(
+    target,
+    `${target.baseUrl}/${documentsRoot}:batchGet`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        documents: paths.map((path) => `${documentsRoot}/${path}`),
+      }),
+    },
+  );
+
+  if (!response.ok) {
+    throw await createFirestoreError(
+      response,
+      "Failed to fetch existing documents",
+    );
+  }
+
+  for (const result of await response.json()) {
+    if (result.found) {
+      existing.set(
+        result.found.name.slice(documentsRoot.length + 1),
+        result.found,
+      );
+    }
+  }
+  return existing;
+}
+
+function quoteFieldPathSegment(segment) {
+  if (/^[a-zA-Z_][a-zA-Z_0-9]*$/.test(segment)) return segment;
+  return `\`${segment.replace(/\\/g, "\\\\").replace(/`/g, "\\`")}\``;
+}
+
+// Leaf paths of the supplied data, so merge leaves sibling fields of nested
+// maps alone the same way the Admin SDK's set(..., { merge: true }) does.
+function collectFieldPaths(obj, prefix = "") {
+  const paths = [];
+  for (const [key, value] of Object.entries(obj)) {
+    const path = `${prefix}${quoteFieldPathSegment(key)}`;
+    if (
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      !isTypedValue(value) &&
+      Object.keys(value).length > 0
+    ) {
+      paths.push(...collectFieldPaths(value, `${path}.`));
+    } else {
+      paths.push(path);
+    }
+  }
+  return paths;
+}
+
+function buildWrite(entry, mode, documentsRoot) {
+  const write = {
+    update: {
+      name: `${documentsRoot}/${entry.path}`,
+      fields: convertToFirestoreFields(entry.data, { documentsRoot }),
+    },
+  };
+
+  if (mode === "create" || mode === "skip-existing") {
+    write.currentDocument = { exists: false };
+  } else if (mode === "merge") {
+    write.updateMask = { fieldPaths: collectFieldPaths(entry.data) };
+  }
+
+  return write;
+}
+
+async function batchWriteDocuments(target, entries, mode = "overwrite") {
+  const documentsRoot = firestoreDocumentsRoot(target);
+
+  // Preconditions already tell create and skip-existing apart; the other
+  // modes need a lookup to report created versus updated.
+  const existing =
+    mode === "overwrite" || mode === "merge"
+      ? await getExistingDocuments(
+          target,
+          entries.map((entry) => entry.path),
+        )
+      : new Map();
+
+  const response = await firestoreFetch(
+    target,
+    `${target.baseUrl}/${documentsRoot}:batchWrite`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        writes: entries.map((entry) => buildWrite(entry, mode, documentsRoot)),
+      }),
+    },
+  );
+
+  if (!response.ok) {
+    throw await createFirestoreError(response, "Batch write failed");
+  }
+
+  // batchWrite is not atomic: every write reports its own status.
+  const data = await response.json();
+  return entries.map((entry, i) => {
+    const status = (data.status && data.status[i]) || {};
+    const exists =
+      status.code === RPC_CODES.ALREADY_EXISTS ||
+      status.code === RPC_CODES.FAILED_PRECONDITION;
+
+    if (exists && mode === "skip-existing") {
+      return { id: entry.path, status: "skipped" };
+    }
+    if (exists && mode === "create") {
+      return { id: entry.path, status: "conflicted", message: status.message };
+    }
+    if (status.code) {
+      const code = rpcCodeName(status.code);
+      return {
+        id: entry.path,
+        status: "failed",
+        httpStatus: RPC_HTTP_STATUSES[code],
+        code,
+        message: status.message,
+        retryable: RETRYABLE_RPC_STATUSES.includes(code),
+      };
+    }
+    return {
+      id: entry.path,
+      status: existing.has(entry.path) ? "updated" : "created",
+    };
+  });
+}
+
+// Writes one batch, resending only the writes that failed transiently with
+// exponential backoff. Writes that needed more than one try carry `attempts`.
+async function writeBatchWithRetries(target, entries, mode, throttle) {
+  const results = new Array(entries.length);
+  let pending = entries.map((entry, index) => ({ entry, index }));
+
+  for (let attempt = 1; pending.length > 0; attempt++) {
+    await acquireWrites(throttle, pending.length);
+    let writeResults;
+    try {
+      writeResults = await batchWriteDocuments(
+        target,
+        pending.map(({ entry }) => entry),
+        mode,
+      );
+    } catch (error) {
+      console.error(`Batch write attempt ${attempt} failed:`, error);
+      writeResults = pending.map(({ entry }) => ({
+        id: entry.path,
+        status: "failed",
+        httpStatus: error.httpStatus,
+        code: error.code,
+        message: error.message,
+        retryable: error.retryable,
+      }));
+    }
+
+    if (writeResults.some((result) => result.httpStatus === 429)) {
+      slowDownWrites(throttle);
+    }
+
+    const retry = [];
+    writeResults.forEach(({ retryable, ...result }, i) => {
+      if (retryable && attempt < MAX_WRITE_ATTEMPTS) {
+        retry.push(pending[i]);
+        return;
+      }
+      if (attempt > 1) {
+        result.attempts = attempt;
+      }
+      results[pending[i].index] = result;
+    });
+
+    pending = retry;
+    if (pending.length > 0) {
+      await sleep(backoffDelay(attempt));
+    }
+  }
+
+  return results;
+}
+
+// Splits the entries into batchWrite calls and keeps up to `concurrency`
+// of them in flight, paced by `options.throttle`. Results come back in the
+// same order as the entries.
+async function writeDocuments(target, entries, options = {}) {
+  const batchSize = options.batchSize || MAX_BATCH_WRITES;
+  const concurrency = options.concurrency || 1;
+  const throttle = options.throttle || createWriteThrottle();
+  const batches = [];
+  for (let i = 0; i < entries.length; i += batchSize) {
+    batches.push(entries.slice(i, i + batchSize));
+  }
+
+  const results = new Array(batches.length);
+  let nextBatch = 0;
+
+  async function worker() {
+    while (nextBatch < batches.length) {
+      const index = nextBatch++;
+      results[index] = await writeBatchWithRetries(
+        target,
+        batches[index],
+        options.mode,
+        throttle,
+      );
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, batches.length) }, worker),
+  );
+
+  return results.flat();
+}
+
+function countWriteStatuses(writes) {
+  const counts = {
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    conflicted: 0,
+    failed: 0,
+  };
+  for (const write of writes) {
+    counts[write.status]++;
+  }
+  // Writes that only went through after retrying; permanent failures are
+  // already counted under `failed`.
+  counts.retried = writes.filter(
+    (write) => write.attempts > 1 && write.status !== "failed",
+  ).length;
+  return counts;
+}
+
+// Lists the writes for documents exported by a recursive /backup. `_path`
+// wins over the collection the file was uploaded as, so nested data lands
+// where it came from.
+function flattenDocumentTree(collectionPath, documents, entries = []) {
+  for (let i = 0; i < documents.length; i++) {
+    const { _id, _path, _missing, _subcollections, _updateTime, ...doc } =
+      documents[i];
+    const docPath =
+      _path || `${collectionPath}/${_id || `doc_${Date.now()}_${i}`}`;
+
+    // /backup adds the document id as an `id` field; don't write it back.
+    // With `_id` set, `id` is the document's own field.
+    if (_path && _id === undefined && doc.id === docPath.split("/").pop()) {
+      delete doc.id;
+    }
+
+    if (!_missing) {
+      entries.push({ path: docPath, data: doc });
+    }
+
+    for (const subcollection of _subcollections || []) {
+      flattenDocumentTree(
+        `${docPath}/${subcollection.collection}`,
+        subcollection.documents || [],
+        entries,
+      );
+    }
+  }
+
+  return entries;
+}
+
+// Accepts an array of documents, a map of id -> document or a single
+// document. In recursive mode a collection entry from /backup works too.
+function normalizeDocuments(jsonData, recursive) {
+  if (
+    recursive &&
+    jsonData &&
+    typeof jsonData.collection === "string" &&
+    Array.isArray(jsonData.documents)
+  ) {
+    return jsonData.documents;
+  }
+  if (Array.isArray(jsonData)) {
+    return jsonData;
+  }
+  if (jsonData && typeof jsonData === "object") {
+    if (Object.keys(jsonData).length === 0) {
+      throw new Error("Empty JSON object");
+    }
+
+    if (Object.values(jsonData).every((val) => typeof val === "object")) {
+      return Object.entries(jsonData).map(([id, data]) => ({
+        ...data,
+        _id: id,
+      }));
+    }
+    return [jsonData];
+  }
+  throw new Error("Invalid JSON structure. Must be an object or array");
+}
+
+// Document ids for uploads. An `_id` always wins; documents without one get
+// their id from `idField`, a field path ("slug", "meta.slug") or a template
+// of field paths ("{slug}-{year}"), or with `autoId` a random id like the
+// ones the Firebase SDKs generate. Auto ids are picked when the file is read,
+// so a job that replays a chunk of writes rewrites the same documents.
+const MAX_DOCUMENT_ID_BYTES = 1500;
+const AUTO_ID_LENGTH = 20;
+const AUTO_ID_ALPHABET =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+
+function generateAutoId() {
+  let id = "";
+  while (id.length < AUTO_ID_LENGTH) {
+    for (const byte of crypto.getRandomValues(new Uint8Array(AUTO_ID_LENGTH))) {
+      // Bytes past the last multiple of 62 would favour the first letters.
+      if (byte < 248 && id.length < AUTO_ID_LENGTH) {
+        id += AUTO_ID_ALPHABET[byte % AUTO_ID_ALPHABET.length];
+      }
+    }
+  }
+  return id;
+}
+
+function parseIdOptions(c, fields, recursive) {
+  const idField = readOption(c, fields, "idField") || undefined;
+  const autoId = parseBoolean(readOption(c, fields, "autoId"));
+  if (idField && autoId) {
+    throw new Error("idField cannot be combined with autoId");
+  }
+  if ((idField || autoId) && recursive) {
+    throw new Error(
+      "Recursive uploads take their ids from _path; idField and autoId don't apply",
+    );
+  }
+  if (idField && /\{\s*\}/.test(idField)) {
+    throw new Error(`idField has an empty placeholder: ${idField}`);
+  }
+  return { idField, autoId };
+}
+
+function assertDocumentId(id, label) {
+  let problem;
+  if (id === "") problem = "is empty";
+  else if (id.includes("/")) problem = 'contains "/"';
+  else if (id === "." || id === "..") problem = 'can\'t be "." or ".."';
+  else if (/^__.*__$/.test(id)) problem = "can't start and end with __";
+  else if (new TextEncoder().encode(id).length > MAX_DOCUMENT_ID_BYTES) {
+    problem = `is longer than ${MAX_DOCUMENT_ID_BYTES} bytes`;
+  }
+  if (problem) {
+    throw new Error(`${label}: document id "${id}" ${problem}`);
+  }
+}
+
+function idFieldValue(doc, path, label) {
+  let value = doc;
+  for (const key of path.split(".")) {
+    value = value && typeof value === "object" ? value[key] : undefined;
+  }
+  if (isTypedValue(value) && typeof value.value !== "object") {
+    value = value.value;
+  }
+  if (
+    typeof value !== "string" &&
+    !(typeof value === "number" && Number.isFinite(value))
+  ) {
+    throw new Error(`${label} has no string or number ${path} for its id`);
+  }
+  return String(value);
+}
+
+function resolveDocumentId(doc, idField, label) {
+  if (!idField.includes("{")) {
+    return idFieldValue(doc, idField, label);
+  }
+  return idField.replace(/\{([^{}]+)\}/g, (_, path) =>
+    idFieldValue(doc, path.trim(), label),
+  );
+}
+
+function buildUploadEntries(collectionName, documents, recursive, ids = {}) {
+  if (recursive) {
+    return flattenDocumentTree(collectionName, documents);
+  }
+
+  const derivedIds = new Set();
+  return documents.map(({ _id, ...doc }, i) => {
+    const label = `Document ${i + 1}`;
+    if (_id !== undefined && _id !== null && _id !== "") {
+      assertDocumentId(String(_id), label);
+      return { path: `${collectionName}/${_id}`, data: doc };
+    }
+    if (ids.autoId) {
+      return {
+        path: `${collectionName}/${generateAutoId()}`,
+        data: doc,
+        autoId: true,
+      };
+    }
+    if (!ids.idField) {
+      return { path: `${collectionName}/doc_${Date.now()}_${i}`, data: doc };
+    }
+
+    const id = resolveDocumentId(doc, ids.idField, label);
+    assertDocumentId(id, label);
+    // Two documents with the same id would silently overwrite each other.
+    if (derivedIds.has(id)) {
+      throw new Error(`${label}: idField gives the duplicate id "${id}"`);
+    }
+    derivedIds.add(id);
+    return { path: `${collectionName}/${id}`, data: doc };
+  });
+}
+
+function normalizeTimestamp(timestamp) {
+  // Firestore drops trailing zeros from the fractional seconds it returns.
+  return timestamp.replace(/\.(\d*?)0*Z$/, (_, digits) =>
+    digits ? `.${digits}Z` : "Z",
+  );
+}
+
+function firestoreValuesEqual(a, b) {
+  const [typeA] = Object.keys(a);
+  const [typeB] = Object.keys(b);
+  if (typeA !== typeB) return false;
+
+  switch (typeA) {
+    case "integerValue":
+      return String(a.integerValue) === String(b.integerValue);
+    case "doubleValue":
+      return String(a.doubleValue) === String(b.doubleValue);
+    case "timestampValue":
+      return (
+        normalizeTimestamp(a.timestampValue) ===
+        normalizeTimestamp(b.timestampValue)
+      );
+    case "geoPointValue":
+      return (
+        (a.geoPointValue.latitude || 0) === (b.geoPointValue.latitude || 0) &&
+        (a.geoPointValue.longitude || 0) === (b.geoPointValue.longitude || 0)
+      );
+    case "arrayValue": {
+      const valuesA = a.arrayValue.values || [];
+      const valuesB = b.arrayValue.values || [];
+      return (
+        valuesA.length === valuesB.length &&
+        valuesA.every((value, i) => firestoreValuesEqual(value, valuesB[i]))
+      );
+    }
+    case "mapValue":
+      return (
+        diffFirestoreFields(a.mapValue.fields, b.mapValue.fields).length === 0
+      );
+    default:
+      return a[typeA] === b[typeB];
+  }
+}
+
+// Lists the fields a write would change. With `merge`, only the supplied
+// fields are compared, descending into nested maps like the merge write does.
+function diffFirestoreFields(
+  before = {},
+  after = {},
+  merge = false,
+  prefix = "",
+) {
+  const keys = merge
+    ? Object.keys(after)
+    : [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  const changes = [];
+
+  for (const key of keys) {
+    const field = `${prefix}${key}`;
+    const beforeValue = before[key];
+    const afterValue = after[key];
+
+    if (
+      merge &&
+      beforeValue &&
+      "mapValue" in beforeValue &&
+      "mapValue" in afterValue &&
+      Object.keys(afterValue.mapValue.fields || {}).length > 0
+    ) {
+      changes.push(
+        ...diffFirestoreFields(
+          beforeValue.mapValue.fields,
+          afterValue.mapValue.fields,
+          true,
+          `${field}.`,
+        ),
+      );
+    } else if (
+      !beforeValue ||
+      !afterValue ||
+      !firestoreValuesEqual(beforeValue, afterValue)
+    ) {
+      changes.push({
+        field,
+        before: beforeValue && parseFirestoreValue(beforeValue),
+        after: afterValue && parseFirestoreValue(afterValue),
+      });
+    }
+  }
+
+  return changes;
+}
+
+// Reports what an upload would do to each document without writing anything.
+async function previewWrites(target, entries, options = {}) {
+  const documentsRoot = firestoreDocumentsRoot(target);
+  const batchSize = options.batchSize || MAX_BATCH_WRITES;
+  const mode = options.mode || "overwrite";
+  const documents = [];
+
+  for (let i = 0; i < entries.length; i += batchSize) {
+    const batch = entries.slice(i, i + batchSize);
+    // Auto ids are fresh, so those documents are all new.
+    const existing = await getExistingDocuments(
+      target,
+      batch.filter((entry) => !entry.autoId).map((entry) => entry.path),
+    );
+
+    for (const entry of batch) {
+      const current = existing.get(entry.path);
+      if (!current) {
+        documents.push({ id: entry.path, status: "new" });
+      } else if (mode === "create") {
+        documents.push({ id: entry.path, status: "conflicted" });
+      } else if (mode === "skip-existing") {
+        documents.push({ id: entry.path, status: "skipped" });
+      } else {
+        const changes = diffFirestoreFields(
+          current.fields,
+          convertToFirestoreFields(entry.data, { documentsRoot }),
+          mode === "merge",
+        );
+        documents.push(
+          changes.length > 0
+            ? { id: entry.path, status: "changed", changes }
+            : { id: entry.path, status: "identical" },
+        );
+      }
+    }
+  }
+
+  const counts = {
+    new: 0,
+    changed: 0,
+    identical: 0,
+    conflicted: 0,
+    skipped: 0,
+  };
+  for (const document of documents) {
+    counts[document.status]++;
+  }
+
+  return { ...counts, documents };
+}
+
+function convertToFirestoreFields(obj, options = {}) {
+  const fields = {};
+
+  for (const [key, value] of Object.entries(obj)) {
+    const firestoreValue = toFirestoreValue(value, options);
+    if (firestoreValue !== undefined) {
+      fields[key] = firestoreValue;
+    }
+  }
+
+  return fields;
+}
+
+function toFirestoreValue(value, options = {}) {
+  if (value === null) {
+    return { nullValue: null };
+  } else if (typeof value === "boolean") {
+    return { booleanValue: value };
+  } else if (typeof value === "number") {
+    if (Number.isInteger(value)) {
+      return { integerValue: value.toString() };
+    }
+    return { doubleValue: value };
+  } else if (typeof value === "string") {
+    return { stringValue: value };
+  } else if (Array.isArray(value)) {
+    return {
+      arrayValue: {
+        values: value.map((v) => toFirestoreValue(v, options)),
+      },
+    };
+  } else if (isTypedValue(value)) {
+    return typedToFirestoreValue(value, options);
+  } else if (typeof value === "object") {
+    return { mapValue: { fields: convertToFirestoreFields(value, options) } };
+  }
+  return undefined;
+}
+
+function typedToFirestoreValue({ __type, value }, options) {
+  switch (__type) {
+    case "integer":
+      return { integerValue: String(value) };
+    case "double":
+      return { doubleValue: value };
+    case "timestamp":
+      return { timestampValue: value };
+    case "geopoint":
+      return {
+        geoPointValue: {
+          latitude: value.latitude,
+          longitude: value.longitude,
+        },
+      };
+    case "reference":
+      // Exports hold paths relative to the database so references follow the
+      // data into whichever project it is restored to.
+      return {
+        referenceValue:
+          value.startsWith("projects/") || !options.documentsRoot
+            ? value
+            : `${options.documentsRoot}/${value}`,
+      };
+    case "bytes":
+      return { bytesValue: value };
+    case "map":
+      return { mapValue: { fields: convertToFirestoreFields(value, options) } };
+  }
+}
+
+async function parseMultipartForm(request) {
+  const formData = await request.formData();
+  const files = {};
+  const fields = {};
+
+  for (const [key, value] of formData.entries()) {
+    if (value instanceof File) {
+      files[key] = files[key] || [];
+      files[key].push({
+        originalFilename: value.name,
+        buffer: await value.arrayBuffer(),
+      });
+    } else {
+      fields[key] = value;
+    }
+  }
+
+  return { fields, files };
+}
+
+// Validated service accounts live in the SESSIONS KV namespace, encrypted
+// with a key derived from SESSION_SECRET and the session token itself. Only
+// a hash of the token is used as the KV key, so a leaked namespace can't be
+// decrypted or replayed without the token the caller holds.
+const SESSION_HEADER = "X-Session-Token";
+const DEFAULT_SESSION_TTL_SECONDS = 3600;
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+async function sessionStorageKey(token) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(token),
+  );
+  return `session:${[...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("")}`;
+}
+
+async function deriveSessionKey(
+  secret,
+  token,
+  info = "service-account-session",
+) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(secret),
+    "HKDF",
+    false,
+    ["deriveKey"],
+  );
+  return crypto.subtle.deriveKey(
+    {
+      name: "HKDF",
+      hash: "SHA-256",
+      salt: new TextEncoder().encode(token),
+      info: new TextEncoder().encode(info),
+    },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+async function encryptServiceAccount(key, serviceAccount) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(serviceAccount)),
+  );
+  return { iv: bytesToBase64(iv), data: bytesToBase64(ciphertext) };
+}
+
+async function decryptServiceAccount(key, { iv, data }) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: base64ToBytes(iv) },
+    key,
+    base64ToBytes(data),
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+function assertSessionStorage(env) {
+  if (!env.SESSIONS || !env.SESSION_SECRET) {
+    throw new Error(
+      "Session storage is not configured (SESSIONS binding and SESSION_SECRET are required)",
+    );
+  }
+}
+
+async function createSession(env, serviceAccount, options = {}) {
+  assertSessionStorage(env);
+
+  const token = bytesToBase64(crypto.getRandomValues(new Uint8Array(32)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=/g, "");
+  // KV refuses expirations shorter than a minute.
+  const ttl = Math.max(
+    60,
+    Number(env.SESSION_TTL_SECONDS) || DEFAULT_SESSION_TTL_SECONDS,
+  );
+  const expiresAt = new Date(Date.now() + ttl * 1000).toISOString();
+
+  const key = await deriveSessionKey(env.SESSION_SECRET, token);
+  await env.SESSIONS.put(
+    await sessionStorageKey(token),
+    JSON.stringify({
+      ...(await encryptServiceAccount(key, serviceAccount)),
+      projectId: serviceAccount.project_id,
+      databaseId: options.databaseId || DEFAULT_DATABASE_ID,
+      expiresAt,
+    }),
+    { expirationTtl: ttl },
+  );
+
+  return { token, expiresAt };
+}
+
+// Returns { serviceAccount, databaseId } for a live session, otherwise null.
+async function getSession(env, token) {
+  if (!token) return null;
+  assertSessionStorage(env);
+
+  const stored = await env.SESSIONS.get(await sessionStorageKey(token), {
+    type: "json",
+  });
+  if (!stored || new Date(stored.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  try {
+    const key = await deriveSessionKey(env.SESSION_SECRET, token);
+    return {
+      serviceAccount: await decryptServiceAccount(key, stored),
+      databaseId: stored.databaseId || DEFAULT_DATABASE_ID,
+    };
+  } catch (error) {
+    console.error("Failed to decrypt session:", error);
+    return null;
+  }
+}
+
+async function revokeSession(env, token) {
+  assertSessionStorage(env);
+  const storageKey = await sessionStorageKey(token);
+  const existed = (await env.SESSIONS.get(storageKey)) !== null;
+  await env.SESSIONS.delete(storageKey);
+  return existed;
+}
+
+// Optional authentication for the service itself. When API_KEYS or
+// AUTH_JWT_SECRET is set, every route needs `Authorization: Bearer <token>`
+// (or `X-API-Key: <key>` for API keys) carrying one of the scopes the route
+// asks for. API_KEYS is a JSON array of { name, key, scopes }; JWTs are
+// HS256-signed with AUTH_JWT_SECRET and list their scopes in `scope`
+// (space-separated) or `scopes`. "*" grants every scope. Validating a
+// service account only needs a valid key; the job routes need the scope
+// of the route that submitted the job.
+const AUTH_SCOPES = ["backup", "upload", "restore"];
+
+function parseApiKeys(env) {
+  if (!env.API_KEYS) return [];
+  let keys;
+  try {
+    keys = JSON.parse(env.API_KEYS);
+  } catch (error) {
+    throw new Error(`Invalid API_KEYS: ${error.message}`);
+  }
+  if (!Array.isArray(keys)) {
+    throw new Error("API_KEYS must be a JSON array");
+  }
+  return keys.map((entry, index) => {
+    const name = entry?.name || `key ${index + 1}`;
+    if (typeof entry?.key !== "string" || entry.key.length < 16) {
+      throw new Error(
+        `API_KEYS: ${name} needs a key of at least 16 characters`,
+      );
+    }
+    return { name, key: entry.key, scopes: parseScopes(entry.scopes, name) };
+  });
+}
+
+function parseScopes(value, name) {
+  const scopes = typeof value === "string" ? value.split(/\s+/) : value;
+  if (!Array.isArray(scopes)) {
+    throw new Error(`${name} has no scopes`);
+  }
+  const unknown = scopes.filter(
+    (scope) => scope !== "*" && !AUTH_SCOPES.includes(scope),
+  );
+  if (unknown.length > 0) {
+    throw new Error(`${name} has unknown scopes: ${unknown.join(", ")}`);
+  }
+  return scopes;
+}
+
+// Compares digests so the time taken doesn't depend on how much of the key
+// matched.
+async function keysMatch(candidate, key) {
+  const [a, b] = await Promise.all(
+    [candidate, key].map(
+      async (value) =>
+        new Uint8Array(
+          await crypto.subtle.digest(
+            "SHA-256",
+            new TextEncoder().encode(value),
+          ),
+        ),
+    ),
+  );
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) difference |= a[i] ^ b[i];
+  return difference === 0;
+}
+
+function base64UrlToBytes(value) {
+  return base64ToBytes(
+    value.replace(/-/g, "+").replace(/_/g, "/") +
+      "=".repeat((4 - (value.length % 4)) % 4),
+  );
+}
+
+async function verifyAuthJWT(env, token) {
+  const [header, payload, signature] = token.split(".");
+  let claims;
+  try {
+    const { alg } = JSON.parse(
+      new TextDecoder().decode(base64UrlToBytes(header)),
+    );
+    if (alg !== "HS256") throw new Error(`Unsupported JWT algorithm: ${alg}`);
+    claims = JSON.parse(new TextDecoder().decode(base64UrlToBytes(payload)));
+  } catch (error) {
+    throw new Error(`Malformed JWT: ${error.message}`);
+  }
+
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(env.AUTH_JWT_SECRET),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["verify"],
+  );
+  const valid = await crypto.subtle.verify(
+    "HMAC",
+    key,
+    base64UrlToBytes(signature),
+    new TextEncoder().encode(`${header}.${payload}`),
+  );
+  if (!valid) throw new Error("Invalid JWT signature");
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number" || claims.exp <= now) {
+    throw new Error("JWT has expired or has no exp claim");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf > now) {
+    throw new Error("JWT is not valid yet");
+  }
+  if (env.AUTH_JWT_ISSUER && claims.iss !== env.AUTH_JWT_ISSUER) {
+    throw new Error("JWT issuer is not accepted");
+  }
+  if (
+    env.AUTH_JWT_AUDIENCE &&
+    ![].concat(claims.aud).includes(env.AUTH_JWT_AUDIENCE)
+  ) {
+    throw new Error("JWT audience is not accepted");
+  }
+  // Rate limits and logs key on the client name.
+  if (typeof claims.sub !== "string" || !claims.sub) {
+    throw new Error("JWT has no sub claim");
+  }
+
+  return {
+    name: claims.sub,
+    scopes: parseScopes(claims.scopes ?? claims.scope, "JWT"),
+  };
+}
+
+// Returns the client for the request's credentials, or throws with the
+// reason they were refused.
+async function authenticateClient(c, apiKeys) {
+  const bearer = c.req.header("Authorization")?.match(/^Bearer\s+(.+)$/i)?.[1];
+  const token = bearer || c.req.header("X-API-Key");
+  if (!token) throw new Error("API key or bearer token required");
+
+  if (bearer && token.split(".").length === 3 && c.env.AUTH_JWT_SECRET) {
+    return verifyAuthJWT(c.env, token);
+  }
+  for (const client of apiKeys) {
+    if (await keysMatch(token, client.key)) return client;
+  }
+  throw new Error("Invalid API key");
+}
+
+// Route middleware: lets the request through when auth is off, or when the
+// client holds one of `scopes` (any authenticated client if none are given).
+// Either way the request then counts against the client's rate limit.
+function requireScope(...scopes) {
+  return async (c, next) => {
+    if (!c.env.API_KEYS && !c.env.AUTH_JWT_SECRET) return rateLimit(c, next);
+    // A broken API_KEYS is a server error, not the client's.
+    const apiKeys = parseApiKeys(c.env);
+
+    let client;
+    try {
+      client = await authenticateClient(c, apiKeys);
+    } catch (error) {
+      // Refused credentials count against the IP address, so keys can't be
+      // guessed at an unlimited rate.
+      const limited = await checkRateLimit(c, ipRateLimitKey(c));
+      if (limited) return limited;
+      c.header("WWW-Authenticate", 'Bearer realm="firestore-upload-backup"');
+      return c.json({ success: false, error: error.message }, 401);
+    }
+
+    if (scopes.length > 0 && !hasScope(client, scopes)) {
+      return scopeRefused(c, client, scopes);
+    }
+
+    c.set("client", client);
+    return rateLimit(c, next);
+  };
+}
+
+function hasScope(client, scopes) {
+  return (
+    client.scopes.includes("*") ||
+    scopes.some((scope) => client.scopes.includes(scope))
+  );
+}
+
+function scopeRefused(c, client, scopes) {
+  return c.json(
+    {
+      success: false,
+      error: `${client.name} lacks the ${scopes.join(" or ")} scope`,
+    },
+    403,
+  );
+}
+
+// Per-client request limits through the Workers rate limiting binding
+// RATE_LIMITER, when it's bound (see wrangler.toml). Clients are told apart
+// by their API key name or JWT subject when service auth is on, otherwise
+// by IP address.
+const RATE_LIMIT_PERIOD_SECONDS = 60;
+
+function ipRateLimitKey(c) {
+  return `ip:${c.req.header("CF-Connecting-IP") || "unknown"}`;
+}
+
+// Returns the 429 response once `key` is over its limit, otherwise null.
+async function checkRateLimit(c, key) {
+  if (!c.env.RATE_LIMITER) return null;
+
+  const { success } = await c.env.RATE_LIMITER.limit({ key });
+  if (success) return null;
+  c.header("Retry-After", String(RATE_LIMIT_PERIOD_SECONDS));
+  return c.json(
+    {
+      success: false,
+      error: "Too many requests. Please retry later.",
+    },
+    429,
+  );
+}
+
+async function rateLimit(c, next) {
+  const client = c.get("client");
+  const limited = await checkRateLimit(
+    c,
+    client ? `client:${client.name}` : ipRateLimitKey(c),
+  );
+  return limited || next();
+}
+
+app.post("/validate-service-account", requireScope(), async (c) => {
+  try {
+    const { files, fields } = await parseMultipartForm(c.req.raw);
+    const serviceAccountFile = files.serviceAccount && files.serviceAccount[0];
+
+    if (!serviceAccountFile) {
+      return c.json(
+        {
+          success: false,
+          error: "No service account file uploaded",
+        },
+        400,
+      );
+    }
+
+    let serviceAccount;
+    try {
+      serviceAccount = JSON.parse(
+        new TextDecoder().decode(serviceAccountFile.buffer),
+      );
+    } catch (error) {
+      return c.json(
+        {
+          success: false,
+          error: "Invalid JSON format in service account file",
+          details: error.message,
+        },
+        400,
+      );
+    }
+
+    let databaseId;
+    try {
+      databaseId = parseDatabaseId(readOption(c, fields, "databaseId"));
+    } catch (error) {
+      return c.json(
+        {
+          success: false,
+          error: error.message,
+        },
+        400,
+      );
+    }
+
+    console.log("Starting comprehensive service account validation...");
+    const validationResult = await validateServiceAccountComplete(
+      serviceAccount,
+      { databaseId, emulatorHost: c.env.FIRESTORE_EMULATOR_HOST },
+    );
+
+    if (!validationResult.valid) {
+      return c.json(
+        {
+          success: false,
+          error: "Service account validation failed",
+          checks: validationResult.checks,
+          errors: validationResult.errors,
+          details: validationResult.errors
+            .map((e) => `${e.type}: ${e.message}`)
+            .join("; "),
+        },
+        400,
+      );
+    }
+
+    const session = await createSession(c.env, serviceAccount, {
+      databaseId,
+    });
+
+    return c.json({
+      success: true,
+      message: "Service account validated successfully",
+      sessionToken: session.token,
+      expiresAt: session.expiresAt,
+      checks: validationResult.checks,
+      accountInfo: validationResult.accountInfo,
+      warnings: validationResult.errors.filter((e) => e.type === "warning"),
+    });
+  } catch (error) {
+    console.error("Service account validation error:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Validation process failed",
+        details: error.message,
+      },
+      500,
+    );
+  }
+});
 
 function firestoreTimestampsToISO(obj) {
   if (Array.isArray(obj)) {
@@ -691,218 +2572,3241 @@ function firestoreTimestampsToISO(obj) {
           value.seconds * 1000 + value.nanoseconds / 1e6,
         ).toISOString();
       } else {
-        newObj[key] = firestoreTimestampsToISO(value);
+        newObj[key] = firestoreTimestampsToISO(value);
+      }
+    }
+    return newObj;
+  }
+  return obj;
+}
+
+// Firestore stamps updateTime on its own clock, so checkpoints are taken a
+// little before the backup starts. Re-exporting a few documents is harmless;
+// missing one is not.
+const CHECKPOINT_SKEW_MS = 60 * 1000;
+
+// `incremental` exports every document with its `_updateTime`, which makes
+// a base for later runs; `since` (usually a previous checkpoint) exports
+// only what changed after it.
+function parseIncrementalOptions(c, fields) {
+  const since = readOption(c, fields, "since");
+  const incremental =
+    parseBoolean(readOption(c, fields, "incremental")) || Boolean(since);
+  if (!incremental) return {};
+
+  const sinceMs = since ? Date.parse(since) : undefined;
+  if (Number.isNaN(sinceMs)) {
+    throw new Error(`since must be an ISO 8601 timestamp: ${since}`);
+  }
+  return {
+    updateTimes: true,
+    since: sinceMs,
+    checkpoint: new Date(Date.now() - CHECKPOINT_SKEW_MS).toISOString(),
+  };
+}
+
+// Incremental backups report the checkpoint to pass as `since` next time.
+function incrementalBackupInfo(options, unchangedDocuments) {
+  if (!options.checkpoint) return {};
+  return {
+    since:
+      options.since === undefined
+        ? null
+        : new Date(options.since).toISOString(),
+    checkpoint: options.checkpoint,
+    ...(unchangedDocuments === undefined ? {} : { unchangedDocuments }),
+  };
+}
+
+// Passes backup records through and ends them with a summary record.
+async function* appendBackupSummary(records, options) {
+  const documentCounts = {};
+  let totalDocuments = 0;
+  let unchangedDocuments = 0;
+
+  for await (const record of records) {
+    if (record.type === "collection") {
+      documentCounts[record.path] = 0;
+    } else if (record.type === "document") {
+      documentCounts[record.path]++;
+      totalDocuments++;
+    } else if (record.type === "unchanged") {
+      unchangedDocuments++;
+    }
+    yield record;
+  }
+
+  yield {
+    type: "summary",
+    success: true,
+    typed: options.typed,
+    ...incrementalBackupInfo(options, unchangedDocuments),
+    totalDocuments,
+    collections: Object.entries(documentCounts).map(
+      ([path, documentCount]) => ({ path, documentCount }),
+    ),
+  };
+}
+
+// Writes backup records as newline-delimited JSON while they are still being
+// paged out of Firestore. The last line is either a summary or an error.
+function streamNdjsonBackup(records, options) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const writeLine = (record) =>
+    writer.write(encoder.encode(`${JSON.stringify(record)}\n`));
+
+  (async () => {
+    try {
+      for await (const record of appendBackupSummary(records, options)) {
+        await writeLine(record);
+      }
+    } catch (error) {
+      console.error("Error streaming backup:", error);
+      await writeLine({
+        type: "error",
+        success: false,
+        message: "Error processing the backup.",
+        details: error.message,
+      }).catch(() => {});
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  })();
+
+  return readable;
+}
+
+const BACKUP_FORMATS = ["json", "ndjson", "csv", "zip"];
+
+// Nested maps become dotted columns; arrays and anything else that isn't a
+// plain value are JSON-encoded into a single cell.
+function flattenForCsv(document, prefix = "", row = {}) {
+  for (const [key, value] of Object.entries(document)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      Object.keys(value).length > 0
+    ) {
+      flattenForCsv(value, column, row);
+    } else {
+      row[column] = value;
+    }
+  }
+  return row;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Columns are the union of every document's fields, `id` first and the
+// rest in the order they were first seen.
+function documentsToCsv(documents) {
+  const rows = documents.map((document) => flattenForCsv(document));
+  const columns = new Set(["id"]);
+  for (const row of rows) {
+    for (const column of Object.keys(row)) columns.add(column);
+  }
+
+  return [
+    [...columns],
+    ...rows.map((row) => [...columns].map((column) => row[column])),
+  ]
+    .map((cells) => cells.map(csvCell).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+}
+
+// The collection path without document ids. Subcollections with the same
+// name share it, e.g. every users/<id>/orders collection ends up in
+// users/orders.csv, where the `_path` column tells the parents apart.
+function collectionPattern(collectionPath) {
+  return collectionPath
+    .split("/")
+    .filter((_, index) => index % 2 === 0)
+    .join("/");
+}
+
+async function collectCsvTables(records) {
+  const tables = new Map();
+  for await (const record of records) {
+    if (record.type === "collection") {
+      const name = collectionPattern(record.path);
+      if (!tables.has(name)) tables.set(name, []);
+    } else if (record.type === "document") {
+      tables.get(collectionPattern(record.path)).push(record.document);
+    }
+  }
+  return tables;
+}
+
+// Renders backup records as one CSV (for a single collection) or as a zip
+// with a CSV per collection and a summary.json.
+async function tabularBackupResponse(c, records, format, details) {
+  const tables = await collectCsvTables(records);
+
+  if (format === "csv") {
+    if (tables.size !== 1) {
+      return c.json(
+        {
+          success: false,
+          error: `format=csv exports a single collection but the backup holds ${tables.size}; use format=zip`,
+        },
+        400,
+      );
+    }
+    const [[name, documents]] = tables;
+    return c.body(documentsToCsv(documents), 200, {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${name}.csv"`,
+    });
+  }
+
+  const files = {};
+  for (const [name, documents] of tables) {
+    files[`${name}.csv`] = strToU8(documentsToCsv(documents));
+  }
+  files["summary.json"] = strToU8(
+    JSON.stringify(
+      {
+        ...details,
+        collections: [...tables].map(([name, documents]) => ({
+          collection: name,
+          documentCount: documents.length,
+        })),
+      },
+      null,
+      2,
+    ),
+  );
+
+  return c.body(zipSync(files), 200, {
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="backup-${details.projectId}.zip"`,
+  });
+}
+
+app.post("/backup", requireScope("backup"), async (c) => {
+  try {
+    const { files, fields } = await parseMultipartForm(c.req.raw);
+    const credentialsFile = files.credentialsFile && files.credentialsFile[0];
+    const sessionToken = c.req.header(SESSION_HEADER);
+
+    if (!credentialsFile && !sessionToken) {
+      return c.json(
+        {
+          success: false,
+          message: "Firebase credentials file or session token is required.",
+        },
+        400,
+      );
+    }
+
+    const session = credentialsFile
+      ? null
+      : await getSession(c.env, sessionToken);
+    if (!credentialsFile && !session) {
+      return c.json(
+        {
+          success: false,
+          message: "Session token is invalid or has expired.",
+        },
+        401,
+      );
+    }
+
+    let pageSize;
+    let selection;
+    let databaseId;
+    let incremental;
+    try {
+      pageSize = parsePositiveInteger(
+        readOption(c, fields, "pageSize"),
+        "pageSize",
+      );
+      selection = parseBackupSelection(c, fields);
+      incremental = parseIncrementalOptions(c, fields);
+      databaseId =
+        parseDatabaseId(readOption(c, fields, "databaseId")) ||
+        session?.databaseId;
+    } catch (error) {
+      return c.json(
+        {
+          success: false,
+          message: error.message,
+        },
+        400,
+      );
+    }
+
+    const format = readOption(c, fields, "format") || "json";
+    if (!BACKUP_FORMATS.includes(format)) {
+      return c.json(
+        {
+          success: false,
+          message: `Unsupported backup format: ${format}`,
+        },
+        400,
+      );
+    }
+    const typed = parseBoolean(readOption(c, fields, "typed"));
+    const recursive = parseBoolean(readOption(c, fields, "recursive"));
+    if ((format === "csv" || format === "zip") && typed) {
+      return c.json(
+        {
+          success: false,
+          message: "typed exports are only available as json or ndjson",
+        },
+        400,
+      );
+    }
+    if (format === "csv" && recursive) {
+      return c.json(
+        {
+          success: false,
+          message: "Recursive exports need format=zip, one CSV per collection",
+        },
+        400,
+      );
+    }
+
+    try {
+      const credentials = session
+        ? session.serviceAccount
+        : JSON.parse(new TextDecoder().decode(credentialsFile.buffer));
+      const target = createFirestoreTarget(credentials, {
+        databaseId,
+        emulatorHost: c.env.FIRESTORE_EMULATOR_HOST,
+      });
+      const options = {
+        pageSize,
+        recursive,
+        typed,
+        query: selection.query,
+        ...incremental,
+      };
+
+      if (parseBoolean(readOption(c, fields, "async"))) {
+        const jobId = await submitJob(c.env, "backup", {
+          serviceAccount: credentials,
+          databaseId: target.databaseId,
+          selection,
+          options,
+        });
+        return c.json(
+          {
+            success: true,
+            jobId,
+            status: "queued",
+            statusUrl: `/jobs/${jobId}`,
+          },
+          202,
+        );
+      }
+      const collections = await resolveBackupCollections(target, selection);
+      if (format === "csv" && collections.length !== 1) {
+        return c.json(
+          {
+            success: false,
+            message: `format=csv exports a single collection but ${collections.length} were selected; use include or format=zip`,
+          },
+          400,
+        );
+      }
+      const records = iterateBackupRecords(target, collections, options);
+
+      if (format === "ndjson") {
+        return c.body(streamNdjsonBackup(records, options), 200, {
+          "Content-Type": "application/x-ndjson",
+        });
+      }
+      if (format === "csv" || format === "zip") {
+        return tabularBackupResponse(c, records, format, {
+          projectId: target.projectId,
+          databaseId: target.databaseId,
+          createdAt: new Date().toISOString(),
+          ...incrementalBackupInfo(options),
+        });
+      }
+
+      const { collections: result, totalDocuments } =
+        await collectBackupRecords(records);
+
+      return c.json({
+        success: true,
+        databaseId: target.databaseId,
+        collections: result,
+        totalDocuments,
+        typed: options.typed,
+        ...incrementalBackupInfo(options),
+      });
+    } catch (error) {
+      console.error("Error processing backup:", error);
+      return c.json(
+        {
+          success: false,
+          message: "Error processing the backup.",
+          details: error.message,
+        },
+        500,
+      );
+    }
+  } catch (error) {
+    console.error("Backup error:", error);
+    return c.json(
+      {
+        success: false,
+        message: "Error processing the backup request.",
+        details: error.message,
+      },
+      400,
+    );
+  }
+});
+
+// Write options shared by /upload-collection and /restore. Throws with a
+// message suitable for a 400 response.
+function parseWriteOptions(c, fields, session) {
+  const writeOptions = {
+    batchSize: parsePositiveInteger(
+      readOption(c, fields, "batchSize"),
+      "batchSize",
+      MAX_BATCH_WRITES,
+    ),
+    concurrency: parsePositiveInteger(
+      readOption(c, fields, "concurrency"),
+      "concurrency",
+      10,
+    ),
+    mode: readOption(c, fields, "mode") || "overwrite",
+    databaseId:
+      parseDatabaseId(readOption(c, fields, "databaseId")) ||
+      session.databaseId,
+    // One ramp for every collection the request writes.
+    throttle: createWriteThrottle(),
+  };
+  if (!WRITE_MODES.includes(writeOptions.mode)) {
+    throw new Error(`mode must be one of: ${WRITE_MODES.join(", ")}`);
+  }
+  return writeOptions;
+}
+
+function summarizeWrites(collection, mode, writes) {
+  const counts = countWriteStatuses(writes);
+  return {
+    collection,
+    mode,
+    documentsUploaded: counts.created + counts.updated,
+    totalDocuments: writes.length,
+    ...counts,
+    success: counts.failed === 0,
+    failures: writes.filter((write) => write.status === "failed"),
+    writes,
+  };
+}
+
+// Spreadsheet uploads. The first non-empty row holds the headers; `mapping`
+// renames them ({"Header": "field.path"}, null drops the column), and
+// dotted field paths become nested maps. Cells are typed by `columnTypes`
+// ({"field.path": "string" | "number" | "integer" | "double" | "boolean" |
+// "timestamp" | "json"}) or, unless inferTypes is false, by their content.
+const COLUMN_TYPES = [
+  "string",
+  "number",
+  "integer",
+  "double",
+  "boolean",
+  "timestamp",
+  "date",
+  "json",
+];
+const INTEGER_PATTERN = /^-?(0|[1-9]\d*)$/;
+const NUMBER_PATTERN = /^-?(0|[1-9]\d*)?(\.\d+)?([eE][+-]?\d+)?$/;
+const DATE_PATTERN =
+  /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function parseTabularOptions(c, fields) {
+  const mapping = parseJsonOption(readOption(c, fields, "mapping")) || {};
+  const columnTypes =
+    parseJsonOption(readOption(c, fields, "columnTypes")) || {};
+  if (Object.values(columnTypes).some((type) => typeof type !== "string")) {
+    throw new Error(
+      "columnTypes maps fields to type names; JSON Schemas go in schemas",
+    );
+  }
+  for (const [field, type] of Object.entries(columnTypes)) {
+    if (!COLUMN_TYPES.includes(type)) {
+      throw new Error(
+        `Unknown type "${type}" for ${field}; use one of: ${COLUMN_TYPES.join(", ")}`,
+      );
+    }
+  }
+  const delimiter = readOption(c, fields, "delimiter") || ",";
+  if (delimiter.length !== 1) {
+    throw new Error("delimiter must be a single character");
+  }
+
+  return {
+    mapping,
+    columnTypes,
+    delimiter,
+    idColumn: readOption(c, fields, "idColumn"),
+    sheet: readOption(c, fields, "sheet"),
+    inferTypes: readOption(c, fields, "inferTypes") !== "false",
+  };
+}
+
+function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field in CSV");
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function decodeXml(text) {
+  return text.replace(
+    /&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-fA-F]+);/g,
+    (_, entity) => {
+      if (entity[0] === "#") {
+        return String.fromCodePoint(
+          entity[1] === "x"
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10),
+        );
+      }
+      return { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" }[entity];
+    },
+  );
+}
+
+function xmlAttributes(tag) {
+  const attributes = {};
+  for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attributes[name] = decodeXml(value);
+  }
+  return attributes;
+}
+
+// Concatenates the <t> runs of a shared or inline string.
+function xmlText(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)]
+    .map(([, text]) => decodeXml(text))
+    .join("");
+}
+
+const BUILTIN_DATE_FORMATS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+// Numbers are dates in Excel when their cell style says so.
+function readXlsxDateStyles(stylesXml) {
+  if (!stylesXml) return [];
+  const customFormats = new Map();
+  for (const [tag] of stylesXml.matchAll(/<numFmt\b[^>]*>/g)) {
+    const { numFmtId, formatCode } = xmlAttributes(tag);
+    // Ignore quoted literals and colours when looking for date tokens.
+    const code = formatCode.replace(/"[^"]*"|\[[^\]]*\]/g, "");
+    customFormats.set(Number(numFmtId), /[dmyhs]/i.test(code));
+  }
+
+  const cellXfs = stylesXml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+  return [...(cellXfs ? cellXfs[1].matchAll(/<xf\b[^>]*>/g) : [])].map(
+    ([tag]) => {
+      const numFmtId = Number(xmlAttributes(tag).numFmtId || 0);
+      return (
+        BUILTIN_DATE_FORMATS.includes(numFmtId) ||
+        customFormats.get(numFmtId) === true
+      );
+    },
+  );
+}
+
+function columnIndex(reference) {
+  let index = 0;
+  for (const char of reference.match(/^[A-Z]+/)[0]) {
+    index = index * 26 + char.charCodeAt(0) - 64;
+  }
+  return index - 1;
+}
+
+// Reads one worksheet of an .xlsx workbook into rows of strings, numbers,
+// booleans and Dates.
+function parseXlsx(buffer, sheetName) {
+  const files = unzipSync(new Uint8Array(buffer), {
+    filter: (file) => file.name.startsWith("xl/"),
+  });
+  const read = (path) => files[path] && strFromU8(files[path]);
+  const workbook = read("xl/workbook.xml");
+  if (!workbook) throw new Error("Not an .xlsx workbook");
+
+  const sheets = [...workbook.matchAll(/<sheet\b[^>]*>/g)].map(([tag]) =>
+    xmlAttributes(tag),
+  );
+  const sheet = sheetName
+    ? sheets.find((entry) => entry.name === sheetName)
+    : sheets[0];
+  if (!sheet) throw new Error(`Sheet not found: ${sheetName}`);
+
+  const relationships = read("xl/_rels/workbook.xml.rels") || "";
+  const relationship = [...relationships.matchAll(/<Relationship\b[^>]*>/g)]
+    .map(([tag]) => xmlAttributes(tag))
+    .find((entry) => entry.Id === sheet["r:id"]);
+  if (!relationship) throw new Error(`Sheet ${sheet.name} has no worksheet`);
+  const sheetPath = relationship.Target.startsWith("/")
+    ? relationship.Target.slice(1)
+    : `xl/${relationship.Target}`;
+
+  const sharedStrings = [
+    ...(read("xl/sharedStrings.xml") || "").matchAll(/<si>([\s\S]*?)<\/si>/g),
+  ].map(([, xml]) => xmlText(xml));
+  const dateStyles = readXlsxDateStyles(read("xl/styles.xml"));
+  const epoch = /<workbookPr\b[^>]*date1904="(1|true)"/.test(workbook)
+    ? Date.UTC(1904, 0, 1)
+    : Date.UTC(1899, 11, 30);
+
+  const rows = [];
+  for (const [, rowXml] of (read(sheetPath) || "").matchAll(
+    /<row\b[^>]*>([\s\S]*?)<\/row>/g,
+  )) {
+    const row = [];
+    for (const [, tag, body = ""] of rowXml.matchAll(
+      /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g,
+    )) {
+      const { r, t, s } = xmlAttributes(tag);
+      const raw = body.match(/<v>([^<]*)<\/v>/)?.[1];
+      let value = null;
+
+      if (t === "s") {
+        value = sharedStrings[Number(raw)];
+      } else if (t === "inlineStr") {
+        value = xmlText(body);
+      } else if (t === "str") {
+        value = decodeXml(raw ?? "");
+      } else if (t === "b") {
+        value = raw === "1";
+      } else if (t === "d") {
+        value = new Date(raw);
+      } else if (t !== "e" && raw !== undefined) {
+        value = Number(raw);
+        if (dateStyles[Number(s || 0)]) {
+          value = new Date(epoch + Math.round(value * 86400000));
+        }
+      }
+      row[r ? columnIndex(r) : row.length] = value;
+    }
+    rows.push(Array.from(row, (value) => value ?? null));
+  }
+
+  return rows;
+}
+
+function inferCellValue(value) {
+  if (INTEGER_PATTERN.test(value)) {
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : { __type: "integer", value };
+  }
+  if (NUMBER_PATTERN.test(value) && /\d/.test(value)) return Number(value);
+  if (/^(true|false)$/i.test(value)) return value.toLowerCase() === "true";
+  if (DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value))) {
+    return { __type: "timestamp", value: new Date(value).toISOString() };
+  }
+  return value;
+}
+
+function convertCell(value, type, inferTypes) {
+  if (value instanceof Date) {
+    return type === "string"
+      ? value.toISOString()
+      : { __type: "timestamp", value: value.toISOString() };
+  }
+  if (!type) {
+    return inferTypes && typeof value === "string"
+      ? inferCellValue(value)
+      : value;
+  }
+
+  const text = String(value).trim();
+  switch (type) {
+    case "string":
+      return String(value);
+    case "integer":
+      if (!INTEGER_PATTERN.test(text)) break;
+      return Number.isSafeInteger(Number(text))
+        ? Number(text)
+        : { __type: "integer", value: text };
+    case "double":
+    case "number": {
+      const number = Number(text);
+      if (text === "" || Number.isNaN(number)) break;
+      return type === "double" && Number.isInteger(number)
+        ? { __type: "double", value: number }
+        : number;
+    }
+    case "boolean":
+      if (/^(true|1|yes)$/i.test(text)) return true;
+      if (/^(false|0|no)$/i.test(text)) return false;
+      break;
+    case "timestamp":
+    case "date":
+      if (Number.isNaN(Date.parse(text))) break;
+      return { __type: "timestamp", value: new Date(text).toISOString() };
+    case "json":
+      return JSON.parse(text);
+  }
+  throw new Error(`"${value}" is not a valid ${type}`);
+}
+
+function setFieldPath(target, path, value) {
+  const segments = path.split(".");
+  let node = target;
+  for (const segment of segments.slice(0, -1)) {
+    if (node[segment] === undefined) node[segment] = {};
+    if (typeof node[segment] !== "object" || node[segment] === null) {
+      throw new Error(`Column ${path} conflicts with column ${segment}`);
+    }
+    node = node[segment];
+  }
+  node[segments.at(-1)] = value;
+}
+
+// Turns spreadsheet rows into documents for buildUploadEntries. Empty cells
+// are left out of the document.
+function rowsToDocuments(rows, options) {
+  const isEmpty = (row) => row.every((value) => value === null || value === "");
+  const headerIndex = rows.findIndex((row) => !isEmpty(row));
+  if (headerIndex === -1) throw new Error("The sheet has no header row");
+
+  const headers = rows[headerIndex].map((header) =>
+    header === null ? "" : String(header).trim(),
+  );
+  if (options.idColumn && !headers.includes(options.idColumn)) {
+    throw new Error(`idColumn ${options.idColumn} is not a column`);
+  }
+  const columns = headers.map((header) => ({
+    header,
+    field: header in options.mapping ? options.mapping[header] : header,
+  }));
+
+  const documents = [];
+  rows.slice(headerIndex + 1).forEach((row, offset) => {
+    if (isEmpty(row)) return;
+    const rowNumber = headerIndex + offset + 2;
+    const document = {};
+
+    columns.forEach(({ header, field }, index) => {
+      const value = row[index];
+      if (!header || value === undefined || value === null || value === "") {
+        return;
+      }
+      if (header === options.idColumn) {
+        document._id = String(value).trim();
+        return;
+      }
+      if (!field) return;
+
+      try {
+        setFieldPath(
+          document,
+          field,
+          convertCell(value, options.columnTypes[field], options.inferTypes),
+        );
+      } catch (error) {
+        throw new Error(`Row ${rowNumber}, column ${header}: ${error.message}`);
+      }
+    });
+
+    if (options.idColumn && !document._id) {
+      throw new Error(`Row ${rowNumber} has no ${options.idColumn}`);
+    }
+    documents.push(document);
+  });
+
+  return documents;
+}
+
+// .csv and .xlsx files go through rowsToDocuments; everything else is
+// read as JSON.
+function readUploadFile(file, options = {}) {
+  const extension = file.originalFilename.match(/\.([^/.]+)$/)?.[1];
+  const collection =
+    options.collection || file.originalFilename.replace(/\.[^/.]+$/, "");
+
+  let documents;
+  if (extension?.toLowerCase() === "csv") {
+    const text = new TextDecoder().decode(file.buffer);
+    documents = rowsToDocuments(
+      parseCsv(text, options.tabular.delimiter),
+      options.tabular,
+    );
+  } else if (extension?.toLowerCase() === "xlsx") {
+    documents = rowsToDocuments(
+      parseXlsx(file.buffer, options.tabular.sheet),
+      options.tabular,
+    );
+  } else {
+    const jsonData = JSON.parse(new TextDecoder().decode(file.buffer));
+    documents = normalizeDocuments(jsonData, options.recursive);
+  }
+
+  return {
+    collection,
+    entries: buildUploadEntries(
+      collection,
+      documents,
+      options.recursive,
+      options.ids,
+    ),
+  };
+}
+
+// JSON Schemas for uploads. A schema belongs to a collection pattern, the
+// collection path without document ids ("users", "users/orders"). Schemas
+// uploaded with the data (`schemas` files named <collection>.schema.json)
+// win over the ones stored in BACKUP_BUCKET under
+// schemas/<projectId>/<databaseId>/<pattern>.json. Spreadsheet uploads type
+// their cells with `columnTypes`, which is separate from these schemas.
+const SCHEMA_VIOLATION_MODES = ["reject", "quarantine"];
+const MAX_SCHEMA_ERRORS = 20;
+const MAX_REPORTED_VIOLATIONS = 500;
+// Errors that only say a child failed; the child's own error is reported.
+const AGGREGATE_SCHEMA_KEYWORDS = [
+  "properties",
+  "patternProperties",
+  "additionalProperties",
+  "items",
+  "prefixItems",
+  "additionalItems",
+  "unevaluatedProperties",
+  "unevaluatedItems",
+  "$ref",
+  "allOf",
+  "dependentSchemas",
+  "if",
+  "then",
+  "else",
+];
+
+function schemaStorageKey(target, pattern) {
+  return `schemas/${target.projectId}/${target.databaseId}/${pattern}.json`;
+}
+
+function parseCollectionPattern(value) {
+  const segments = (value || "").split("/");
+  if (segments.some((segment) => !segment || /^\.\.?$/.test(segment))) {
+    throw new Error(`Invalid collection: ${value}`);
+  }
+  return segments.join("/");
+}
+
+function createSchemaValidator(schema) {
+  if (typeof schema !== "boolean" && (!schema || typeof schema !== "object")) {
+    throw new Error("A JSON Schema must be an object or a boolean");
+  }
+  const draft = String(schema.$schema || "").match(
+    /draft-0?(4|7)|(2019-09|2020-12)/,
+  );
+  const validator = new Validator(
+    schema,
+    draft ? draft[1] || draft[2] : "2020-12",
+    false,
+  );
+  // Surfaces unresolvable $refs and the like now rather than per document.
+  validator.validate({});
+  return validator;
+}
+
+// Documents are validated as plain JSON: typed values are unwrapped, so a
+// schema sees timestamps and references as strings.
+function toSchemaInstance(value) {
+  if (Array.isArray(value)) return value.map(toSchemaInstance);
+  if (isTypedValue(value)) {
+    switch (value.__type) {
+      case "integer":
+      case "double":
+        return Number(value.value);
+      case "map":
+        return toSchemaInstance(value.value);
+      default:
+        return value.value;
+    }
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [
+        key,
+        toSchemaInstance(child),
+      ]),
+    );
+  }
+  return value;
+}
+
+function schemaErrors(result) {
+  const leaves = result.errors.filter(
+    (error) => !AGGREGATE_SCHEMA_KEYWORDS.includes(error.keyword),
+  );
+  // A `false` schema is how additionalProperties: false rejects a property,
+  // but it is also reported for properties that failed for another reason.
+  return leaves
+    .filter(
+      (error) =>
+        error.keyword !== "false" ||
+        !leaves.some(
+          (other) =>
+            other.keyword !== "false" &&
+            other.instanceLocation.startsWith(error.instanceLocation),
+        ),
+    )
+    .slice(0, MAX_SCHEMA_ERRORS)
+    .map((error) => ({
+      path: error.instanceLocation.slice(1) || "/",
+      keyword:
+        error.keyword === "false" ? "additionalProperties" : error.keyword,
+      message:
+        error.keyword === "false"
+          ? "Property is not allowed by the schema."
+          : error.error,
+    }));
+}
+
+function readSchemaFiles(files = []) {
+  const schemas = new Map();
+  for (const file of files) {
+    const collection = file.originalFilename.replace(/(\.schema)?\.json$/, "");
+    try {
+      schemas.set(
+        parseCollectionPattern(collection),
+        JSON.parse(new TextDecoder().decode(file.buffer)),
+      );
+    } catch (error) {
+      throw new Error(`${file.originalFilename}: ${error.message}`);
+    }
+  }
+  return schemas;
+}
+
+// Splits entries into the ones that pass their collection's schema and the
+// violations. Entries without a schema pass.
+async function validateUploadEntries(env, target, entries, uploadedSchemas) {
+  const validators = new Map();
+  const getValidator = async (pattern) => {
+    if (!validators.has(pattern)) {
+      let schema = uploadedSchemas.get(pattern);
+      if (schema === undefined && env.BACKUP_BUCKET) {
+        const object = await env.BACKUP_BUCKET.get(
+          schemaStorageKey(target, pattern),
+        );
+        schema = object ? await object.json() : undefined;
+      }
+      validators.set(
+        pattern,
+        schema === undefined ? null : createSchemaValidator(schema),
+      );
+    }
+    return validators.get(pattern);
+  };
+
+  const valid = [];
+  const violations = [];
+  for (const entry of entries) {
+    const pattern = collectionPattern(
+      entry.path.split("/").slice(0, -1).join("/"),
+    );
+    const validator = await getValidator(pattern);
+    const result =
+      validator && validator.validate(toSchemaInstance(entry.data));
+    if (!result || result.valid) {
+      valid.push(entry);
+    } else {
+      violations.push({ id: entry.path, entry, errors: schemaErrors(result) });
+    }
+  }
+
+  return {
+    valid,
+    violations,
+    schemas: [...validators]
+      .filter(([, validator]) => validator)
+      .map(([pattern]) => pattern),
+  };
+}
+
+function reportViolations(violations) {
+  return violations
+    .slice(0, MAX_REPORTED_VIOLATIONS)
+    .map(({ id, errors }) => ({ id, errors }));
+}
+
+// Quarantined documents keep their data and errors in a side collection,
+// flattened to one level so nested paths stay unique.
+function buildQuarantineEntries(collection, violations) {
+  const quarantinedAt = new Date().toISOString();
+  return violations.map(({ entry, errors }) => ({
+    path: `${collection}/${entry.path.split("/").slice(1).join("__")}`,
+    data: {
+      path: entry.path,
+      document: entry.data,
+      errors,
+      quarantinedAt: { __type: "timestamp", value: quarantinedAt },
+    },
+  }));
+}
+
+async function requireSchemaSession(c) {
+  const session = await getSession(c.env, c.req.header(SESSION_HEADER));
+  if (!session) {
+    return {
+      response: c.json(
+        { success: false, error: "Valid session token required" },
+        401,
+      ),
+    };
+  }
+  if (!c.env.BACKUP_BUCKET) {
+    return {
+      response: c.json(
+        { success: false, error: "Schema storage is not configured" },
+        501,
+      ),
+    };
+  }
+  try {
+    const target = createFirestoreTarget(session.serviceAccount, {
+      databaseId:
+        parseDatabaseId(c.req.query("databaseId")) || session.databaseId,
+      emulatorHost: c.env.FIRESTORE_EMULATOR_HOST,
+    });
+    const collection = c.req.param("collection");
+    return {
+      target,
+      pattern: collection && parseCollectionPattern(collection),
+    };
+  } catch (error) {
+    return {
+      response: c.json({ success: false, error: error.message }, 400),
+    };
+  }
+}
+
+app.get("/schemas", requireScope("upload"), async (c) => {
+  const { target, response } = await requireSchemaSession(c);
+  if (response) return response;
+
+  const prefix = schemaStorageKey(target, "").replace(/\.json$/, "");
+  const schemas = [];
+  let cursor;
+  do {
+    const listing = await c.env.BACKUP_BUCKET.list({ prefix, cursor });
+    for (const object of listing.objects) {
+      schemas.push({
+        collection: object.key.slice(prefix.length).replace(/\.json$/, ""),
+        size: object.size,
+        updatedAt: object.uploaded,
+      });
+    }
+    cursor = listing.truncated ? listing.cursor : undefined;
+  } while (cursor);
+
+  return c.json({ success: true, databaseId: target.databaseId, schemas });
+});
+
+app.get("/schemas/:collection{.+}", requireScope("upload"), async (c) => {
+  const { target, pattern, response } = await requireSchemaSession(c);
+  if (response) return response;
+
+  const object = await c.env.BACKUP_BUCKET.get(
+    schemaStorageKey(target, pattern),
+  );
+  if (!object) {
+    return c.json({ success: false, error: "Schema not found" }, 404);
+  }
+  return c.json({
+    success: true,
+    collection: pattern,
+    schema: await object.json(),
+  });
+});
+
+app.put("/schemas/:collection{.+}", requireScope("upload"), async (c) => {
+  const { target, pattern, response } = await requireSchemaSession(c);
+  if (response) return response;
+
+  let schema;
+  try {
+    schema = await c.req.json();
+    createSchemaValidator(schema);
+  } catch (error) {
+    return c.json(
+      {
+        success: false,
+        error: "Invalid JSON Schema",
+        details: error.message,
+      },
+      400,
+    );
+  }
+
+  await c.env.BACKUP_BUCKET.put(
+    schemaStorageKey(target, pattern),
+    JSON.stringify(schema),
+    { httpMetadata: { contentType: "application/schema+json" } },
+  );
+  return c.json({ success: true, collection: pattern });
+});
+
+app.delete("/schemas/:collection{.+}", requireScope("upload"), async (c) => {
+  const { target, pattern, response } = await requireSchemaSession(c);
+  if (response) return response;
+
+  const key = schemaStorageKey(target, pattern);
+  if (!(await c.env.BACKUP_BUCKET.head(key))) {
+    return c.json({ success: false, error: "Schema not found" }, 404);
+  }
+  await c.env.BACKUP_BUCKET.delete(key);
+  return c.json({ success: true, collection: pattern });
+});
+
+app.post("/upload-collection", requireScope("upload"), async (c) => {
+  const session = await getSession(c.env, c.req.header(SESSION_HEADER));
+
+  if (!session) {
+    return c.json(
+      {
+        success: false,
+        error:
+          "Valid session token required. Please validate your service account first.",
+      },
+      401,
+    );
+  }
+
+  try {
+    const { files, fields } = await parseMultipartForm(c.req.raw);
+    const collectionFiles = files.collections;
+    const recursive = parseBoolean(readOption(c, fields, "recursive"));
+    const dryRun = parseBoolean(readOption(c, fields, "dryRun"));
+
+    if (!collectionFiles || collectionFiles.length === 0) {
+      return c.json(
+        {
+          success: false,
+          error: "No collection files uploaded",
+        },
+        400,
+      );
+    }
+
+    let writeOptions;
+    let fileOptions;
+    let uploadedSchemas;
+    let onInvalid;
+    try {
+      writeOptions = parseWriteOptions(c, fields, session);
+      fileOptions = {
+        recursive,
+        collection: readOption(c, fields, "collection"),
+        tabular: parseTabularOptions(c, fields),
+        ids: parseIdOptions(c, fields, recursive),
+      };
+      if (fileOptions.collection?.includes("/")) {
+        throw new Error("collection must be a root collection id");
+      }
+      // A lone `schema` could mean either of the two; name both.
+      if (files.schema || readOption(c, fields, "schema") !== undefined) {
+        throw new Error(
+          "Unknown option schema: send JSON Schemas as schemas files and spreadsheet column types as columnTypes",
+        );
+      }
+      uploadedSchemas = readSchemaFiles(files.schemas);
+      for (const schema of uploadedSchemas.values()) {
+        createSchemaValidator(schema);
+      }
+      onInvalid = readOption(c, fields, "onInvalid") || "reject";
+      if (!SCHEMA_VIOLATION_MODES.includes(onInvalid)) {
+        throw new Error(
+          `onInvalid must be one of: ${SCHEMA_VIOLATION_MODES.join(", ")}`,
+        );
+      }
+    } catch (error) {
+      return c.json(
+        {
+          success: false,
+          error: error.message,
+        },
+        400,
+      );
+    }
+
+    const target = createFirestoreTarget(session.serviceAccount, {
+      databaseId: writeOptions.databaseId,
+      emulatorHost: c.env.FIRESTORE_EMULATOR_HOST,
+    });
+    const runAsync = parseBoolean(readOption(c, fields, "async"));
+
+    if (runAsync && dryRun) {
+      return c.json(
+        {
+          success: false,
+          error: "dryRun cannot be combined with async",
+        },
+        400,
+      );
+    }
+
+    // Every file is read and validated before the first Firestore call, so
+    // a bad file can't leave a partial upload behind.
+    const uploads = [];
+    const errors = [];
+    for (const file of collectionFiles) {
+      const fallbackName = file.originalFilename.replace(/\.[^/.]+$/, "");
+      try {
+        console.log("Processing file:", file.originalFilename);
+        const upload = readUploadFile(file, fileOptions);
+        const { valid, violations, schemas } = await validateUploadEntries(
+          c.env,
+          target,
+          upload.entries,
+          uploadedSchemas,
+        );
+
+        if (violations.length > 0 && onInvalid === "reject") {
+          errors.push({
+            collection: upload.collection,
+            error: `${violations.length} of ${upload.entries.length} documents failed schema validation`,
+            violations: reportViolations(violations),
+            success: false,
+          });
+          continue;
+        }
+
+        uploads.push({ ...upload, entries: valid, schemas });
+        if (violations.length > 0) {
+          const quarantineCollection =
+            readOption(c, fields, "quarantineCollection") ||
+            `${upload.collection}_quarantine`;
+          uploads.push({
+            collection: quarantineCollection,
+            entries: buildQuarantineEntries(quarantineCollection, violations),
+            quarantineOf: upload.collection,
+            violations: reportViolations(violations),
+          });
+        }
+      } catch (fileError) {
+        console.error(
+          "Error processing file:",
+          file.originalFilename,
+          fileError,
+        );
+        errors.push({
+          collection: fallbackName,
+          error: fileError.message,
+          success: false,
+        });
+      }
+    }
+
+    if (runAsync) {
+      if (uploads.length === 0) {
+        return c.json(
+          {
+            success: false,
+            error: "None of the uploaded files could be read",
+            errors,
+          },
+          400,
+        );
+      }
+
+      const jobId = await submitJob(
+        c.env,
+        "upload",
+        {
+          serviceAccount: session.serviceAccount,
+          databaseId: target.databaseId,
+          writeOptions,
+        },
+        uploads.map(({ collection, entries }) => ({ collection, entries })),
+      );
+      return c.json(
+        {
+          success: errors.length === 0,
+          jobId,
+          status: "queued",
+          statusUrl: `/jobs/${jobId}`,
+          quarantined: uploads
+            .filter((upload) => upload.quarantineOf)
+            .map(({ collection, quarantineOf, violations }) => ({
+              collection: quarantineOf,
+              quarantineCollection: collection,
+              violations,
+            })),
+          errors,
+        },
+        202,
+      );
+    }
+
+    const results = [...errors];
+
+    for (const { collection, entries, ...upload } of uploads) {
+      const details = upload.quarantineOf
+        ? { quarantineOf: upload.quarantineOf, violations: upload.violations }
+        : { schemas: upload.schemas };
+      try {
+        if (dryRun) {
+          const preview = await previewWrites(target, entries, writeOptions);
+          results.push({
+            collection,
+            mode: writeOptions.mode,
+            dryRun: true,
+            totalDocuments: entries.length,
+            ...preview,
+            ...details,
+            success: true,
+          });
+          continue;
+        }
+
+        const writes = await writeDocuments(target, entries, writeOptions);
+        results.push({
+          ...summarizeWrites(collection, writeOptions.mode, writes),
+          ...details,
+        });
+
+        console.log("Successfully processed:", collection);
+      } catch (writeError) {
+        console.error("Error uploading collection:", collection, writeError);
+        results.push({
+          collection,
+          error: writeError.message,
+          success: false,
+        });
+      }
+    }
+
+    return c.json({
+      success: results.every((r) => r.success),
+      databaseId: target.databaseId,
+      dryRun,
+      results,
+      summary: {
+        totalFiles: collectionFiles.length,
+        successfulFiles: results.filter((r) => r.success).length,
+        failedFiles: results.filter((r) => r.error).length,
+        totalDocumentsUploaded: results.reduce(
+          (sum, r) => sum + (r.documentsUploaded || 0),
+          0,
+        ),
+        totalDocumentsFailed: results.reduce(
+          (sum, r) => sum + (r.failed || 0),
+          0,
+        ),
+        totalDocumentsRetried: results.reduce(
+          (sum, r) => sum + (r.retried || 0),
+          0,
+        ),
+        totalDocumentsQuarantined: results.reduce(
+          (sum, r) => sum + (r.quarantineOf ? r.totalDocuments : 0),
+          0,
+        ),
+      },
+      errors: results.filter((r) => r.error),
+    });
+  } catch (error) {
+    console.error("Upload collection error:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Error uploading collections",
+        details: error.message,
+      },
+      500,
+    );
+  }
+});
+
+app.get("/databases", requireScope(), async (c) => {
+  const session = await getSession(c.env, c.req.header(SESSION_HEADER));
+
+  if (!session) {
+    return c.json(
+      {
+        success: false,
+        error:
+          "Valid session token required. Please validate your service account first.",
+      },
+      401,
+    );
+  }
+
+  try {
+    // The emulator has no admin API; any database id works once written to.
+    const databases = c.env.FIRESTORE_EMULATOR_HOST
+      ? [{ databaseId: DEFAULT_DATABASE_ID }]
+      : await listDatabases(session.serviceAccount);
+
+    return c.json({
+      success: true,
+      projectId: session.serviceAccount.project_id,
+      databases,
+    });
+  } catch (error) {
+    console.error("List databases error:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Error listing databases",
+        details: error.message,
+      },
+      error.httpStatus === 403 ? 403 : 500,
+    );
+  }
+});
+
+app.post("/logout", requireScope(), async (c) => {
+  const sessionToken = c.req.header(SESSION_HEADER);
+
+  if (!sessionToken) {
+    return c.json(
+      {
+        success: false,
+        error: "No session token provided",
+      },
+      400,
+    );
+  }
+
+  const revoked = await revokeSession(c.env, sessionToken);
+
+  return c.json({
+    success: true,
+    message: revoked ? "Session revoked" : "Session was already expired",
+  });
+});
+
+// Backups and uploads that would outlive a single request run as jobs in a
+// Durable Object. Their input and output live in the R2 bucket under
+// jobs/<jobId>/, and the object keeps the progress and a resume checkpoint.
+const JOB_SLICE_MS = 10 * 60 * 1000;
+const JOB_PROGRESS_INTERVAL = 500;
+const MAX_JOB_FAILURES = 500;
+const FINISHED_JOB_STATUSES = ["completed", "failed", "cancelled"];
+// Workers allow 1,000 subrequests per invocation. A slice stops short of
+// that to leave room for writing its part and for a chunk's retries.
+const JOB_SUBREQUEST_BUDGET = 800;
+// How long the result of a completed backup job can be downloaded.
+const JOB_RESULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// R2 only takes a single put when it knows the length, and multipart parts
+// other than the last must all be the same size.
+const R2_PART_SIZE = 8 * 1024 * 1024;
+
+function assertJobStorage(env) {
+  if (!env.JOBS || !env.BACKUP_BUCKET || !env.SESSION_SECRET) {
+    throw new Error(
+      "Jobs are not configured: the JOBS and BACKUP_BUCKET bindings and SESSION_SECRET are required",
+    );
+  }
+}
+
+// The service account in a job's params is encrypted like a session, with
+// the job id in place of the session token, so the Durable Object's
+// storage alone doesn't give it away.
+function deriveJobKey(env, jobId) {
+  return deriveSessionKey(env.SESSION_SECRET, jobId, "job-service-account");
+}
+
+// Writes records to R2 as newline-delimited JSON without holding more than
+// one part in memory. `subrequests`, when given, counts the calls to R2.
+async function writeNdjsonObject(
+  bucket,
+  key,
+  records,
+  { subrequests, ...options } = {},
+) {
+  const count = () => subrequests && subrequests.count++;
+  const encoder = new TextEncoder();
+  let buffer = new Uint8Array(R2_PART_SIZE);
+  let offset = 0;
+  let upload;
+  const parts = [];
+
+  try {
+    for await (const record of records) {
+      let line = encoder.encode(`${JSON.stringify(record)}\n`);
+      while (line.length > 0) {
+        const length = Math.min(line.length, R2_PART_SIZE - offset);
+        buffer.set(line.subarray(0, length), offset);
+        offset += length;
+        line = line.subarray(length);
+
+        if (offset === R2_PART_SIZE) {
+          if (!upload) {
+            count();
+            upload = await bucket.createMultipartUpload(key, options);
+          }
+          count();
+          parts.push(await upload.uploadPart(parts.length + 1, buffer));
+          buffer = new Uint8Array(R2_PART_SIZE);
+          offset = 0;
+        }
+      }
+    }
+
+    count();
+    if (!upload) {
+      return await bucket.put(key, buffer.slice(0, offset), options);
+    }
+    if (offset > 0) {
+      count();
+      parts.push(
+        await upload.uploadPart(parts.length + 1, buffer.slice(0, offset)),
+      );
+    }
+    return await upload.complete(parts);
+  } catch (error) {
+    if (upload) await upload.abort().catch(() => {});
+    throw error;
+  }
+}
+
+async function* iterateNdjson(stream) {
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  let pending = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    pending += value;
+    const lines = pending.split("\n");
+    pending = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) yield JSON.parse(line);
+    }
+  }
+  if (pending.trim()) yield JSON.parse(pending);
+}
+
+function getJobStub(env, jobId) {
+  assertJobStorage(env);
+  let id;
+  try {
+    id = env.JOBS.idFromString(jobId);
+  } catch {
+    return null;
+  }
+  return env.JOBS.get(id);
+}
+
+// `params` carry the credentials, encrypted, and stay inside the Durable
+// Object; `input` is written to R2 for jobs whose payload is too big for
+// its storage.
+async function submitJob(env, type, params, input, scope = type) {
+  assertJobStorage(env);
+  const id = env.JOBS.newUniqueId();
+  const jobId = id.toString();
+
+  if (input) {
+    await env.BACKUP_BUCKET.put(
+      `jobs/${jobId}/input.json`,
+      JSON.stringify(input),
+    );
+  }
+
+  const serviceAccount = await encryptServiceAccount(
+    await deriveJobKey(env, jobId),
+    params.serviceAccount,
+  );
+  const response = await env.JOBS.get(id).fetch("https://jobs/start", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      jobId,
+      type,
+      scope,
+      params: { ...params, serviceAccount },
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to start job: ${await response.text()}`);
+  }
+
+  return jobId;
+}
+
+// Recursive backups can only count their root documents up front, so their
+// estimate goes by those.
+function estimateRemainingSeconds(job) {
+  const { progress } = job;
+  const [total, processed] =
+    progress.rootDocumentsTotal === undefined
+      ? [progress.documentsTotal, progress.documentsProcessed]
+      : [progress.rootDocumentsTotal, progress.rootDocumentsProcessed];
+  if (job.status !== "running" || !total || !processed) {
+    return null;
+  }
+  const elapsed = Date.now() - Date.parse(job.startedAt);
+  const remaining = Math.max(total - processed, 0);
+  return Math.ceil(((elapsed / processed) * remaining) / 1000);
+}
+
+export class JobDurableObject {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.cancelRequested = false;
+  }
+
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+
+    if (request.method === "POST" && pathname === "/start") {
+      const { jobId, type, scope, params } = await request.json();
+      if (await this.state.storage.get("job")) {
+        return new Response("Job already started", { status: 409 });
+      }
+
+      const now = new Date().toISOString();
+      const job = {
+        jobId,
+        type,
+        scope,
+        status: "queued",
+        createdAt: now,
+        updatedAt: now,
+        progress: {
+          collectionsTotal: null,
+          collectionsProcessed: 0,
+          documentsTotal: null,
+          documentsProcessed: 0,
+          errors: 0,
+        },
+      };
+      await this.state.storage.put({ job, params });
+      await this.state.storage.setAlarm(Date.now());
+      return Response.json(job);
+    }
+
+    const job = await this.state.storage.get("job");
+    if (!job) {
+      return new Response("Job not found", { status: 404 });
+    }
+
+    if (request.method === "POST" && pathname === "/cancel") {
+      if (!FINISHED_JOB_STATUSES.includes(job.status)) {
+        // A running slice notices the flag between pages and batches.
+        this.cancelRequested = true;
+        job.cancelRequested = true;
+        if (job.status === "queued") {
+          await this.state.storage.deleteAlarm();
+          await this.finish(job, "cancelled");
+        } else {
+          await this.state.storage.put("job", job);
+        }
+      }
+      return Response.json({ ...job, etaSeconds: null });
+    }
+
+    return Response.json({ ...job, etaSeconds: estimateRemainingSeconds(job) });
+  }
+
+  // Each alarm runs one slice of the job and schedules the next one, so no
+  // single invocation runs into the wall-clock or subrequest limits. Once a
+  // backup has completed, the alarm expires its result.
+  async alarm() {
+    const job = await this.state.storage.get("job");
+    if (!job) return;
+    if (FINISHED_JOB_STATUSES.includes(job.status)) {
+      await this.expireResult(job);
+      return;
+    }
+
+    this.cancelRequested = this.cancelRequested || Boolean(job.cancelRequested);
+    const params = await this.state.storage.get("params");
+    if (job.status === "queued") {
+      job.status = "running";
+      job.startedAt = new Date().toISOString();
+    }
+    const slice = {
+      deadline: Date.now() + JOB_SLICE_MS,
+      subrequests: { count: 0 },
+    };
+
+    try {
+      params.serviceAccount = await decryptServiceAccount(
+        await deriveJobKey(this.env, job.jobId),
+        params.serviceAccount,
+      );
+      const done =
+        job.type === "upload"
+          ? await this.runUploadSlice(job, params, slice)
+          : await this.runBackupSlice(job, params, slice);
+
+      if (this.cancelRequested) {
+        await this.finish(job, "cancelled");
+      } else if (done) {
+        await this.finish(job, "completed");
+      } else {
+        await this.saveProgress(job);
+        await this.state.storage.setAlarm(Date.now());
+      }
+    } catch (error) {
+      console.error(`Job ${job.jobId} failed:`, error);
+      job.error = error.message;
+      await this.finish(job, "failed");
+    }
+  }
+
+  // `reserve` is how many subrequests the caller is about to need.
+  sliceEnded(slice, reserve = 0) {
+    return (
+      this.cancelRequested ||
+      Date.now() > slice.deadline ||
+      slice.subrequests.count + reserve > JOB_SUBREQUEST_BUDGET
+    );
+  }
+
+  async saveProgress(job, checkpoint) {
+    job.updatedAt = new Date().toISOString();
+    await this.state.storage.put(checkpoint ? { job, checkpoint } : { job });
+  }
+
+  async finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.updatedAt = job.finishedAt;
+    if (job.type === "backup" && status === "completed") {
+      job.expiresAt = new Date(Date.now() + JOB_RESULT_TTL_MS).toISOString();
+    }
+    // Drop the credentials and the uploaded input as soon as they're unused.
+    await this.state.storage.delete(["params", "checkpoint"]);
+    await this.state.storage.put("job", job);
+    if (job.type === "upload") {
+      await this.env.BACKUP_BUCKET.delete(`jobs/${job.jobId}/input.json`);
+    } else if (job.expiresAt) {
+      await this.state.storage.setAlarm(Date.parse(job.expiresAt));
+    } else if (job.result) {
+      await this.deleteBackupParts(job);
+    }
+  }
+
+  async expireResult(job) {
+    if (!job.expiresAt || job.resultExpired) return;
+    if (Date.now() < Date.parse(job.expiresAt)) {
+      await this.state.storage.setAlarm(Date.parse(job.expiresAt));
+      return;
+    }
+    await this.deleteBackupParts(job);
+    job.resultExpired = true;
+    await this.state.storage.put("job", job);
+  }
+
+  async deleteBackupParts(job) {
+    // The part being written when the job stopped may exist as well.
+    await this.env.BACKUP_BUCKET.delete(
+      Array.from(
+        { length: job.result.parts + 1 },
+        (_, index) => `jobs/${job.jobId}/part-${index}.ndjson`,
+      ),
+    );
+  }
+
+  // Each slice writes what it gets through as one NDJSON part per root
+  // collection, and the checkpoint keeps where the walk stopped, so a large
+  // collection or subcollection tree spreads over as many slices as it needs.
+  async runBackupSlice(job, params, slice) {
+    const target = createFirestoreTarget(params.serviceAccount, {
+      databaseId: params.databaseId,
+      emulatorHost: this.env.FIRESTORE_EMULATOR_HOST,
+      subrequests: slice.subrequests,
+    });
+    const { recursive, query } = params.options;
+    let checkpoint = await this.state.storage.get("checkpoint");
+
+    if (!checkpoint) {
+      const collections = await resolveBackupCollections(
+        target,
+        params.selection,
+      );
+      let documentsTotal = 0;
+      for (const collectionId of collections) {
+        documentsTotal += await countDocuments(target, collectionId, query);
+      }
+      checkpoint = { collections, next: 0, levels: [], part: 0 };
+      job.projectId = target.projectId;
+      job.databaseId = target.databaseId;
+      job.progress.collectionsTotal = collections.length;
+      // Subcollections are only found on the way, so a recursive backup
+      // counts its progress by the root documents.
+      if (recursive) {
+        job.progress.rootDocumentsTotal = documentsTotal;
+        job.progress.rootDocumentsProcessed = 0;
+      } else {
+        job.progress.documentsTotal = documentsTotal;
+      }
+      job.result = {
+        parts: 0,
+        totalDocuments: 0,
+        typed: params.options.typed,
+        ...incrementalBackupInfo(params.options, 0),
+      };
+      await this.saveProgress(job, checkpoint);
+    }
+
+    while (checkpoint.next < checkpoint.collections.length) {
+      if (this.sliceEnded(slice)) return false;
+
+      const walk = {
+        levels: checkpoint.levels,
+        stopped: false,
+        stop: () => (walk.stopped ||= this.sliceEnded(slice)),
+      };
+      const collectionPath = checkpoint.collections[checkpoint.next];
+      const records = this.trackBackupRecords(
+        job,
+        iterateCollectionRecords(target, collectionPath, {
+          ...params.options,
+          walk,
+        }),
+      );
+      await writeNdjsonObject(
+        this.env.BACKUP_BUCKET,
+        `jobs/${job.jobId}/part-${checkpoint.part}.ndjson`,
+        records,
+        { subrequests: slice.subrequests },
+      );
+
+      checkpoint.part++;
+      job.result.parts = checkpoint.part;
+      if (!walk.stopped) {
+        checkpoint.next++;
+        checkpoint.levels = [];
+        job.progress.collectionsProcessed++;
       }
+      await this.saveProgress(job, checkpoint);
     }
-    return newObj;
+
+    job.result.totalDocuments =
+      job.progress.documentsProcessed - (job.result.unchangedDocuments || 0);
+
+    if (params.archive && !job.result.archive) {
+      // Publishing reads every part back, so it gets a slice of its own.
+      if (slice.subrequests.count > 0) return false;
+      await this.publishArchive(job, params);
+    }
+    return true;
+  }
+
+  // A scheduled backup ends up as a single archive under backups/, with the
+  // same summary line a streamed /backup ends with, and then prunes the
+  // archives that expired.
+  async publishArchive(job, params) {
+    const bucket = this.env.BACKUP_BUCKET;
+    const { options, archive } = params;
+    const prefix = backupArchivePrefix(job.projectId, job.databaseId);
+    const key = `${prefix}${archive.name}`;
+
+    await writeNdjsonObject(
+      bucket,
+      key,
+      appendBackupSummary(iterateJobBackupRecords(bucket, job), options),
+      { httpMetadata: { contentType: "application/x-ndjson" } },
+    );
+    job.result.archive = key;
+    console.log("Scheduled backup written:", key);
+
+    if (archive.chainKey) {
+      const manifest = await bucket.get(archive.chainKey);
+      const { archives } = manifest ? await manifest.json() : { archives: [] };
+      archives.push({
+        name: archive.name,
+        type: options.since === undefined ? "full" : "incremental",
+        ...incrementalBackupInfo(options),
+      });
+      await bucket.put(archive.chainKey, JSON.stringify({ archives }));
+    }
+
+    await pruneBackupArchives(bucket, prefix, archive.retention);
+  }
+
+  async *trackBackupRecords(job, records) {
+    for await (const record of records) {
+      if (this.cancelRequested) return;
+      yield record;
+      if (record.type === "unchanged") {
+        job.result.unchangedDocuments++;
+      }
+      if (record.type === "document" || record.type === "unchanged") {
+        job.progress.documentsProcessed++;
+        if (
+          job.progress.rootDocumentsProcessed !== undefined &&
+          !record.path.includes("/")
+        ) {
+          job.progress.rootDocumentsProcessed++;
+        }
+        if (job.progress.documentsProcessed % JOB_PROGRESS_INTERVAL === 0) {
+          await this.saveProgress(job);
+        }
+      }
+    }
+  }
+
+  // Uploads resume from the last finished chunk of writes. Document ids
+  // were fixed when the job was submitted, so a resumed chunk rewrites the
+  // same documents.
+  async runUploadSlice(job, params, slice) {
+    const target = createFirestoreTarget(params.serviceAccount, {
+      databaseId: params.databaseId,
+      emulatorHost: this.env.FIRESTORE_EMULATOR_HOST,
+      subrequests: slice.subrequests,
+    });
+    if (!this.input) {
+      const object = await this.env.BACKUP_BUCKET.get(
+        `jobs/${job.jobId}/input.json`,
+      );
+      if (!object) throw new Error("Job input is missing");
+      this.input = await object.json();
+    }
+    const collections = this.input;
+    const { writeOptions } = params;
+    const concurrency = writeOptions.concurrency || 1;
+    const chunkSize =
+      (writeOptions.batchSize || MAX_BATCH_WRITES) * concurrency;
+    // Every batch of a chunk may look its documents up and retry its write.
+    const chunkSubrequests = concurrency * 2 * MAX_WRITE_ATTEMPTS;
+
+    let checkpoint = await this.state.storage.get("checkpoint");
+    if (!checkpoint) {
+      checkpoint = { collection: 0, entry: 0 };
+      job.projectId = target.projectId;
+      job.databaseId = target.databaseId;
+      job.progress.collectionsTotal = collections.length;
+      job.progress.documentsTotal = collections.reduce(
+        (sum, { entries }) => sum + entries.length,
+        0,
+      );
+      job.result = {
+        mode: writeOptions.mode,
+        results: collections.map(({ collection, entries }) => ({
+          collection,
+          totalDocuments: entries.length,
+          created: 0,
+          updated: 0,
+          skipped: 0,
+          conflicted: 0,
+          failed: 0,
+          retried: 0,
+        })),
+        failures: [],
+        failuresTruncated: false,
+      };
+    }
+
+    while (checkpoint.collection < collections.length) {
+      const { entries } = collections[checkpoint.collection];
+      const result = job.result.results[checkpoint.collection];
+
+      while (checkpoint.entry < entries.length) {
+        if (this.sliceEnded(slice, chunkSubrequests)) {
+          await this.saveProgress(job, checkpoint);
+          return false;
+        }
+
+        const chunk = entries.slice(
+          checkpoint.entry,
+          checkpoint.entry + chunkSize,
+        );
+
+        // Keep the ramp going across slices instead of the one stored
+        // with the job.
+        this.throttle ??= writeOptions.throttle || createWriteThrottle();
+        const writes = await writeDocuments(target, chunk, {
+          ...writeOptions,
+          throttle: this.throttle,
+        });
+        const counts = countWriteStatuses(writes);
+        for (const [status, count] of Object.entries(counts)) {
+          result[status] += count;
+        }
+
+        for (const write of writes) {
+          if (write.status !== "failed") continue;
+          if (job.result.failures.length < MAX_JOB_FAILURES) {
+            job.result.failures.push(write);
+          } else {
+            job.result.failuresTruncated = true;
+          }
+        }
+
+        checkpoint.entry += chunk.length;
+        job.progress.documentsProcessed += chunk.length;
+        job.progress.errors += counts.failed;
+        await this.saveProgress(job, checkpoint);
+      }
+
+      checkpoint = { collection: checkpoint.collection + 1, entry: 0 };
+      job.progress.collectionsProcessed++;
+      await this.saveProgress(job, checkpoint);
+    }
+
+    return true;
+  }
+}
+
+// Concatenates the parts of a finished backup job, followed by the same
+// summary line a streamed /backup ends with.
+function streamJobBackup(bucket, job) {
+  const { readable, writable } = new TransformStream();
+  const { parts, ...summary } = job.result;
+  const encoder = new TextEncoder();
+
+  (async () => {
+    try {
+      for (let index = 0; index < parts; index++) {
+        const object = await bucket.get(
+          `jobs/${job.jobId}/part-${index}.ndjson`,
+        );
+        if (!object) throw new Error(`Backup part ${index} is missing`);
+        await object.body.pipeTo(writable, { preventClose: true });
+      }
+      const writer = writable.getWriter();
+      await writer.write(
+        encoder.encode(
+          `${JSON.stringify({
+            type: "summary",
+            success: true,
+            ...summary,
+          })}\n`,
+        ),
+      );
+      await writer.close();
+    } catch (error) {
+      console.error("Error streaming job result:", error);
+      await writable.abort(error).catch(() => {});
+    }
+  })();
+
+  return readable;
+}
+
+async function* iterateJobBackupRecords(bucket, job) {
+  for (let index = 0; index < job.result.parts; index++) {
+    const object = await bucket.get(`jobs/${job.jobId}/part-${index}.ndjson`);
+    if (!object) throw new Error(`Backup part ${index} is missing`);
+    yield* iterateNdjson(object.body);
+  }
+}
+
+async function fetchJob(c, path = "status", init) {
+  const stub = getJobStub(c.env, c.req.param("id"));
+  if (!stub) return null;
+  const response = await stub.fetch(`https://jobs/${path}`, init);
+  return response.ok ? response.json() : null;
+}
+
+// Jobs need the scope of the route that submitted them.
+function jobScopeRefused(c, job) {
+  const client = c.get("client");
+  return client && !hasScope(client, [job.scope])
+    ? scopeRefused(c, client, [job.scope])
+    : null;
+}
+
+app.get("/jobs/:id", requireScope(), async (c) => {
+  try {
+    const job = await fetchJob(c);
+    if (!job) {
+      return c.json({ success: false, error: "Job not found" }, 404);
+    }
+    const refused = jobScopeRefused(c, job);
+    if (refused) return refused;
+    return c.json({ success: true, ...job });
+  } catch (error) {
+    console.error("Job status error:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Error reading job status",
+        details: error.message,
+      },
+      500,
+    );
+  }
+});
+
+app.post("/jobs/:id/cancel", requireScope(), async (c) => {
+  try {
+    const status = await fetchJob(c);
+    if (!status) {
+      return c.json({ success: false, error: "Job not found" }, 404);
+    }
+    const refused = jobScopeRefused(c, status);
+    if (refused) return refused;
+
+    const job = await fetchJob(c, "cancel", { method: "POST" });
+    return c.json({ success: true, ...job });
+  } catch (error) {
+    console.error("Job cancel error:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Error cancelling job",
+        details: error.message,
+      },
+      500,
+    );
+  }
+});
+
+// Backup jobs produce NDJSON; `?format=json`, `csv` or `zip` convert it
+// like /backup would, which needs the whole backup in memory.
+app.get("/jobs/:id/result", requireScope(), async (c) => {
+  try {
+    const job = await fetchJob(c);
+    if (!job) {
+      return c.json({ success: false, error: "Job not found" }, 404);
+    }
+    const refused = jobScopeRefused(c, job);
+    if (refused) return refused;
+    if (job.status !== "completed") {
+      return c.json(
+        {
+          success: false,
+          error: `Job is ${job.status}; results are only available once it has completed`,
+        },
+        409,
+      );
+    }
+    if (job.resultExpired) {
+      return c.json(
+        {
+          success: false,
+          error: `Job result expired at ${job.expiresAt}`,
+        },
+        410,
+      );
+    }
+
+    // Scheduled backups are read from their archive instead.
+    if (job.type !== "backup") {
+      return c.json({ success: job.progress.errors === 0, ...job.result });
+    }
+
+    const format = c.req.query("format") || "ndjson";
+    if (!BACKUP_FORMATS.includes(format)) {
+      return c.json(
+        { success: false, error: `Unsupported backup format: ${format}` },
+        400,
+      );
+    }
+    if (format === "csv" || format === "zip") {
+      if (job.result.typed) {
+        return c.json(
+          {
+            success: false,
+            error: "typed exports are only available as json or ndjson",
+          },
+          400,
+        );
+      }
+      const records = iterateJobBackupRecords(c.env.BACKUP_BUCKET, job);
+      if (format === "csv" && job.progress.collectionsTotal !== 1) {
+        return c.json(
+          {
+            success: false,
+            error: `format=csv exports a single collection but the job backed up ${job.progress.collectionsTotal}; use format=zip`,
+          },
+          400,
+        );
+      }
+      return tabularBackupResponse(c, records, format, {
+        projectId: job.projectId,
+        databaseId: job.databaseId,
+        createdAt: job.finishedAt,
+      });
+    }
+
+    if (format === "json") {
+      const { collections, totalDocuments } = await collectBackupRecords(
+        iterateJobBackupRecords(c.env.BACKUP_BUCKET, job),
+      );
+      return c.json({
+        success: true,
+        databaseId: job.databaseId,
+        collections,
+        totalDocuments,
+        typed: job.result.typed,
+        ...(job.result.checkpoint && {
+          since: job.result.since,
+          checkpoint: job.result.checkpoint,
+        }),
+      });
+    }
+
+    return c.body(streamJobBackup(c.env.BACKUP_BUCKET, job), 200, {
+      "Content-Type": "application/x-ndjson",
+    });
+  } catch (error) {
+    console.error("Job result error:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Error reading job result",
+        details: error.message,
+      },
+      500,
+    );
+  }
+});
+
+// Scheduled backups. SCHEDULED_BACKUPS is a JSON array of
+//   { credentialsSecret, databaseId?, recursive?, typed?, include?,
+//     exclude?, retention?, incremental?, chainLength? }
+// where credentialsSecret names the secret holding the service account.
+// Each runs as a job, which writes its archive to BACKUP_BUCKET as
+// backups/<projectId>/<databaseId>/<timestamp>.ndjson once it completes.
+//
+// Incremental schedules write a full archive followed by incrementals
+// until the chain holds `chainLength` archives. Each chain has a manifest
+// at backups/<projectId>/<databaseId>/chains/<full archive>.json:
+//   { archives: [{ name, type: "full" | "incremental", since, checkpoint }] }
+const DEFAULT_BACKUP_RETENTION = { daily: 7, weekly: 4, monthly: 6 };
+const DEFAULT_CHAIN_LENGTH = 7;
+const ARCHIVE_NAME_PATTERN =
+  /^(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2})-(\d{3})Z\.ndjson$/;
+
+function parseScheduledBackups(env) {
+  const entries = JSON.parse(env.SCHEDULED_BACKUPS || "[]");
+  if (!Array.isArray(entries)) {
+    throw new Error("SCHEDULED_BACKUPS must be a JSON array");
+  }
+  return entries;
+}
+
+function parseScheduledBackup(env, entry, defaultRetention) {
+  const secret = env[entry?.credentialsSecret];
+  if (!secret) {
+    throw new Error(
+      `Secret ${entry?.credentialsSecret} for a scheduled backup is not set`,
+    );
+  }
+  const serviceAccount = JSON.parse(secret);
+  if (!validateServiceAccountStructure(serviceAccount).valid) {
+    throw new Error(
+      `Secret ${entry.credentialsSecret} is not a valid service account`,
+    );
+  }
+  return {
+    serviceAccount,
+    databaseId: parseDatabaseId(entry.databaseId) || DEFAULT_DATABASE_ID,
+    options: {
+      recursive: Boolean(entry.recursive),
+      typed: entry.typed !== false,
+    },
+    selection: { include: entry.include, exclude: entry.exclude },
+    retention: { ...defaultRetention, ...entry.retention },
+    incremental: Boolean(entry.incremental),
+    chainLength: entry.chainLength || DEFAULT_CHAIN_LENGTH,
+  };
+}
+
+function backupArchivePrefix(projectId, databaseId) {
+  return `backups/${projectId}/${databaseId}/`;
+}
+
+function archiveName(date) {
+  return `${date.toISOString().replace(/[:.]/g, "-")}.ndjson`;
+}
+
+function archiveCreatedAt(key) {
+  const match = key.split("/").pop().match(ARCHIVE_NAME_PATTERN);
+  return match && new Date(`${match[1]}:${match[2]}:${match[3]}.${match[4]}Z`);
+}
+
+async function listBackupArchives(bucket, prefix) {
+  const archives = [];
+  let cursor;
+
+  do {
+    const listing = await bucket.list({ prefix, cursor });
+    for (const object of listing.objects) {
+      const createdAt = archiveCreatedAt(object.key);
+      if (!createdAt) continue;
+      const [, projectId, databaseId, name] = object.key.split("/");
+      archives.push({
+        key: object.key,
+        projectId,
+        databaseId,
+        name,
+        createdAt: createdAt.toISOString(),
+        size: object.size,
+      });
+    }
+    cursor = listing.truncated ? listing.cursor : undefined;
+  } while (cursor);
+
+  return archives.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function retentionPeriods(date) {
+  const day = date.toISOString().slice(0, 10);
+  // Weeks start on Monday.
+  const monday = new Date(date);
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return {
+    daily: day,
+    weekly: monday.toISOString().slice(0, 10),
+    monthly: day.slice(0, 7),
+  };
+}
+
+// Keeps the newest archive of each of the last N days, weeks and months.
+// The newest archive overall is always kept, and so is every archive an
+// incremental that is kept depends on.
+function selectExpiredArchives(archives, retention, chains = []) {
+  const keep = new Set(archives.slice(0, 1).map((archive) => archive.name));
+
+  for (const period of ["daily", "weekly", "monthly"]) {
+    const seen = new Set();
+    for (const archive of archives) {
+      const key = retentionPeriods(new Date(archive.createdAt))[period];
+      if (seen.has(key)) continue;
+      if (seen.size >= (retention[period] || 0)) break;
+      seen.add(key);
+      keep.add(archive.name);
+    }
+  }
+
+  for (const chain of chains) {
+    const names = chain.archives.map((archive) => archive.name);
+    const last = names.findLastIndex((name) => keep.has(name));
+    for (const name of names.slice(0, last + 1)) keep.add(name);
+  }
+
+  return archives.filter((archive) => !keep.has(archive.name));
+}
+
+function chainManifestKey(prefix, baseName) {
+  return `${prefix}chains/${baseName.replace(/\.ndjson$/, ".json")}`;
+}
+
+// Newest chain first.
+async function listBackupChains(bucket, prefix) {
+  const chains = [];
+  let cursor;
+
+  do {
+    const listing = await bucket.list({ prefix: `${prefix}chains/`, cursor });
+    for (const object of listing.objects) {
+      const manifest = await bucket.get(object.key);
+      if (manifest)
+        chains.push({ key: object.key, ...(await manifest.json()) });
+    }
+    cursor = listing.truncated ? listing.cursor : undefined;
+  } while (cursor);
+
+  return chains.sort((a, b) => b.key.localeCompare(a.key));
+}
+
+// Adds the chain each archive belongs to, if any, to a listing.
+async function describeBackupArchives(bucket, archives) {
+  const prefixes = new Set(
+    archives.map((archive) =>
+      backupArchivePrefix(archive.projectId, archive.databaseId),
+    ),
+  );
+  const chainEntries = new Map();
+  for (const prefix of prefixes) {
+    for (const chain of await listBackupChains(bucket, prefix)) {
+      for (const entry of chain.archives) {
+        chainEntries.set(`${prefix}${entry.name}`, {
+          ...entry,
+          base: chain.archives[0].name,
+        });
+      }
+    }
+  }
+
+  return archives.map((archive) => {
+    const entry = chainEntries.get(archive.key);
+    return entry
+      ? {
+          ...archive,
+          type: entry.type,
+          base: entry.base,
+          since: entry.since,
+          checkpoint: entry.checkpoint,
+        }
+      : { ...archive, type: "full" };
+  });
+}
+
+// The keys needed to rebuild the snapshot of an archive, oldest first.
+async function resolveArchiveChain(bucket, prefix, name) {
+  for (const chain of await listBackupChains(bucket, prefix)) {
+    const names = chain.archives.map((archive) => archive.name);
+    const index = names.indexOf(name);
+    if (index !== -1) {
+      return names.slice(0, index + 1).map((entry) => `${prefix}${entry}`);
+    }
+  }
+  return [`${prefix}${name}`];
+}
+
+// Merges a chain of archives, oldest first, into the snapshot the newest
+// one was taken at: its own documents, plus every document it lists as
+// unchanged from the most recent older archive that exported it.
+// Documents missing from the newest archive were deleted and stay out.
+async function* mergeBackupArchives(bucket, keys) {
+  const needed = new Set();
+
+  for (let index = keys.length - 1; index >= 0; index--) {
+    const object = await bucket.get(keys[index]);
+    if (!object) throw new Error(`Backup archive ${keys[index]} is missing`);
+    const newest = index === keys.length - 1;
+
+    for await (const record of iterateNdjson(object.body)) {
+      if (newest) {
+        if (record.type === "unchanged") {
+          needed.add(`${record.path}/${record.id}`);
+        } else if (record.type !== "summary") {
+          yield record;
+        }
+        continue;
+      }
+
+      if (record.type !== "document") continue;
+      const path =
+        record.document._path ||
+        `${record.path}/${parsedDocumentId(record.document)}`;
+      if (needed.delete(path)) yield record;
+    }
+
+    if (needed.size === 0) break;
+  }
+
+  if (needed.size > 0) {
+    throw new Error(
+      `${needed.size} unchanged documents are missing from the earlier archives`,
+    );
+  }
+}
+
+// The chain an incremental archive joins is picked when the job is
+// submitted; the job adds the archive to it once written.
+async function submitScheduledBackup(env, config, scheduledTime) {
+  const prefix = backupArchivePrefix(
+    config.serviceAccount.project_id,
+    config.databaseId,
+  );
+  const name = archiveName(new Date(scheduledTime));
+  const options = { ...config.options, updateTimes: true };
+
+  let chainKey;
+  if (config.incremental) {
+    const [latest] = await listBackupChains(env.BACKUP_BUCKET, prefix);
+    if (latest && latest.archives.length < config.chainLength) {
+      chainKey = latest.key;
+      options.since = Date.parse(latest.archives.at(-1).checkpoint);
+    } else {
+      chainKey = chainManifestKey(prefix, name);
+    }
+    options.checkpoint = new Date(
+      Date.now() - CHECKPOINT_SKEW_MS,
+    ).toISOString();
+  }
+
+  const jobId = await submitJob(
+    env,
+    "scheduled-backup",
+    {
+      serviceAccount: config.serviceAccount,
+      databaseId: config.databaseId,
+      selection: config.selection,
+      options,
+      archive: { name, chainKey, retention: config.retention },
+    },
+    undefined,
+    "backup",
+  );
+  console.log(`Scheduled backup ${prefix}${name} submitted as job ${jobId}`);
+}
+
+async function pruneBackupArchives(bucket, prefix, retention) {
+  const archives = await listBackupArchives(bucket, prefix);
+  const chains = await listBackupChains(bucket, prefix);
+  const expired = selectExpiredArchives(archives, retention, chains);
+  if (expired.length === 0) return;
+
+  await bucket.delete(expired.map((archive) => archive.key));
+  console.log(`Pruned ${expired.length} archives under ${prefix}`);
+
+  // Pruning only ever drops the tail of a chain, or all of it.
+  const expiredNames = new Set(expired.map((archive) => archive.name));
+  for (const chain of chains) {
+    const remaining = chain.archives.filter(
+      (archive) => !expiredNames.has(archive.name),
+    );
+    if (remaining.length === 0) {
+      await bucket.delete(chain.key);
+    } else if (remaining.length < chain.archives.length) {
+      await bucket.put(chain.key, JSON.stringify({ archives: remaining }));
+    }
+  }
+}
+
+// One failing project doesn't stop the others; the run still fails at the
+// end so the cron trigger reports it.
+async function runScheduledBackups(env, scheduledTime) {
+  assertJobStorage(env);
+
+  const entries = parseScheduledBackups(env);
+  const defaultRetention = {
+    ...DEFAULT_BACKUP_RETENTION,
+    ...JSON.parse(env.BACKUP_RETENTION || "{}"),
+  };
+
+  const failures = [];
+  for (const entry of entries) {
+    // A misconfigured entry only fails its own backup.
+    let config;
+    try {
+      config = parseScheduledBackup(env, entry, defaultRetention);
+      await submitScheduledBackup(env, config, scheduledTime);
+    } catch (error) {
+      const name =
+        config?.serviceAccount.project_id || entry?.credentialsSecret;
+      console.error(`Scheduled backup of ${name} failed:`, error);
+      failures.push(name);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`Scheduled backups failed for: ${failures.join(", ")}`);
+  }
+}
+
+// Stored backups are scoped to the project of the caller's session.
+async function requireBackupSession(c) {
+  const session = await getSession(c.env, c.req.header(SESSION_HEADER));
+  if (!session) {
+    return {
+      response: c.json(
+        {
+          success: false,
+          error: "Valid session token required",
+        },
+        401,
+      ),
+    };
   }
-  return obj;
+  if (!c.env.BACKUP_BUCKET) {
+    return {
+      response: c.json(
+        {
+          success: false,
+          error: "Backup storage is not configured",
+        },
+        501,
+      ),
+    };
+  }
+  return { session };
 }
 
-app.post("/backup", async (c) => {
+async function findBackupArchive(c, session) {
+  const name = c.req.param("name");
+  let databaseId;
   try {
-    const { files } = await parseMultipartForm(c.req.raw);
-    const credentialsFile = files.credentialsFile && files.credentialsFile[0];
+    databaseId = parseDatabaseId(c.req.param("databaseId"));
+  } catch {
+    return null;
+  }
+  if (!databaseId || !ARCHIVE_NAME_PATTERN.test(name)) return null;
+  const key = `${backupArchivePrefix(session.serviceAccount.project_id, databaseId)}${name}`;
+  return (await c.env.BACKUP_BUCKET.head(key)) ? key : null;
+}
 
-    if (!credentialsFile) {
-      return c.json(
-        {
-          success: false,
-          message: "Firebase credentials file is required.",
-        },
-        400,
-      );
-    }
+app.get("/backups", requireScope("backup"), async (c) => {
+  try {
+    const { session, response } = await requireBackupSession(c);
+    if (response) return response;
 
+    let databaseId;
     try {
-      const credentials = JSON.parse(
-        new TextDecoder().decode(credentialsFile.buffer),
-      );
-      const accessToken = await getAccessToken(credentials);
-      const collections = await getRootCollectionIds(
-        credentials.project_id,
-        accessToken,
-      );
-
-      const result = [];
+      databaseId = parseDatabaseId(c.req.query("databaseId"));
+    } catch (error) {
+      return c.json({ success: false, error: error.message }, 400);
+    }
+    const prefix = databaseId
+      ? backupArchivePrefix(session.serviceAccount.project_id, databaseId)
+      : `backups/${session.serviceAccount.project_id}/`;
+    const archives = await listBackupArchives(c.env.BACKUP_BUCKET, prefix);
 
-      for (const collectionName of collections) {
-        const documents = await getDocumentsInCollection(
-          credentials.project_id,
-          accessToken,
-          collectionName,
-        );
+    return c.json({
+      success: true,
+      backups: await describeBackupArchives(c.env.BACKUP_BUCKET, archives),
+    });
+  } catch (error) {
+    console.error("List backups error:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Error listing backups",
+        details: error.message,
+      },
+      500,
+    );
+  }
+});
 
-        const documentsWithISO = firestoreTimestampsToISO(documents);
+// Archives are NDJSON; `?format=json` returns the nested /backup response.
+app.get("/backups/:databaseId/:name", requireScope("backup"), async (c) => {
+  try {
+    const { session, response } = await requireBackupSession(c);
+    if (response) return response;
 
-        result.push({
-          collection: collectionName,
-          documents: documentsWithISO,
-        });
-      }
+    const key = await findBackupArchive(c, session);
+    const object = key && (await c.env.BACKUP_BUCKET.get(key));
+    if (!object) {
+      return c.json({ success: false, error: "Backup not found" }, 404);
+    }
 
+    if (c.req.query("format") === "json") {
+      let typed = false;
+      const records = (async function* () {
+        for await (const record of iterateNdjson(object.body)) {
+          if (record.type === "summary") typed = record.typed;
+          yield record;
+        }
+      })();
+      const { collections, totalDocuments } =
+        await collectBackupRecords(records);
       return c.json({
         success: true,
-        collections: result,
+        databaseId: c.req.param("databaseId"),
+        collections,
+        totalDocuments,
+        typed,
       });
-    } catch (error) {
-      console.error("Error processing backup:", error);
+    }
+
+    return c.body(object.body, 200, {
+      "Content-Type": "application/x-ndjson",
+      "Content-Disposition": `attachment; filename="${c.req.param("name")}"`,
+    });
+  } catch (error) {
+    console.error("Download backup error:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Error downloading backup",
+        details: error.message,
+      },
+      500,
+    );
+  }
+});
+
+// Incrementals need every older archive of their chain, so only the
+// newest archive of a chain can be deleted; its manifest loses it as well.
+app.delete("/backups/:databaseId/:name", requireScope("backup"), async (c) => {
+  try {
+    const { session, response } = await requireBackupSession(c);
+    if (response) return response;
+
+    const key = await findBackupArchive(c, session);
+    if (!key) {
+      return c.json({ success: false, error: "Backup not found" }, 404);
+    }
+
+    const bucket = c.env.BACKUP_BUCKET;
+    const name = c.req.param("name");
+    const prefix = key.slice(0, -name.length);
+    const chain = (await listBackupChains(bucket, prefix)).find((chain) =>
+      chain.archives.some((archive) => archive.name === name),
+    );
+    const names = chain ? chain.archives.map((archive) => archive.name) : [];
+    const dependents = names.slice(names.indexOf(name) + 1);
+    if (dependents.length > 0) {
       return c.json(
         {
           success: false,
-          message: "Error processing the backup.",
-          details: error.message,
+          error: "Later incremental backups depend on this backup",
+          dependents,
         },
-        500,
+        409,
       );
     }
+
+    await bucket.delete(key);
+    if (chain) {
+      const archives = chain.archives.slice(0, -1);
+      if (archives.length > 0) {
+        await bucket.put(chain.key, JSON.stringify({ archives }));
+      } else {
+        await bucket.delete(chain.key);
+      }
+    }
+
+    return c.json({ success: true, deleted: key });
   } catch (error) {
-    console.error("Backup error:", error);
+    console.error("Delete backup error:", error);
     return c.json(
       {
         success: false,
-        message: "Error processing the backup request.",
+        error: "Error deleting backup",
         details: error.message,
       },
-      400,
+      500,
     );
   }
 });
 
-app.post("/upload-collection", async (c) => {
-  if (!isValidServiceAccount) {
+// Yields the records of a nested /backup response, in the order a
+// streamed backup would have produced them.
+function* iterateBackupTreeRecords(collections, parentPath = "") {
+  for (const { collection, documents = [], unchanged = [] } of collections) {
+    const path = parentPath ? `${parentPath}/${collection}` : collection;
+    yield { type: "collection", collection, path };
+    for (const id of unchanged) {
+      yield { type: "unchanged", path, id };
+    }
+
+    for (const document of documents) {
+      const { _subcollections, ...fields } = document;
+      if (!fields._missing) {
+        yield { type: "document", path, document: fields };
+      }
+      if (_subcollections) {
+        yield* iterateBackupTreeRecords(
+          _subcollections,
+          fields._path || `${path}/${parsedDocumentId(fields)}`,
+        );
+      }
+    }
+  }
+}
+
+// Reads an uploaded backup, either the JSON /backup response or NDJSON
+// from a streamed backup, an archive or a job result.
+function parseBackupFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    data = undefined;
+  }
+  if (data && Array.isArray(data.collections)) {
+    return iterateBackupTreeRecords(data.collections);
+  }
+  return text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+// Turns backup records into writes. Documents keep their ids, the `id`
+// field /backup adds is dropped again, and root collections are filtered
+// and renamed. When `_id` is present, `id` is a stored field and stays.
+async function* iterateRestoreEntries(records, { include, rename = {} }) {
+  for await (const record of records) {
+    if (record.type !== "document") continue;
+    const { _id, _path, _missing, _updateTime, ...data } = record.document;
+    const id = _id ?? data.id;
+    if (!_path && id === undefined) {
+      throw new Error(`Document without an id in ${record.path}`);
+    }
+    const path = _path || `${record.path}/${id}`;
+    if (_id === undefined && data.id === path.split("/").pop()) {
+      delete data.id;
+    }
+
+    const [root, ...rest] = path.split("/");
+    if (include && !include.includes(root)) continue;
+    const collection = rename[root] || root;
+
+    yield {
+      collection,
+      source: root,
+      entry: { path: [collection, ...rest].join("/"), data },
+    };
+  }
+}
+
+async function buildRestoreEntries(records, options) {
+  const collections = new Map();
+
+  for await (const { collection, source, entry } of iterateRestoreEntries(
+    records,
+    options,
+  )) {
+    if (!collections.has(collection)) {
+      collections.set(collection, { collection, source, entries: [] });
+    }
+    collections.get(collection).entries.push(entry);
+  }
+
+  return [...collections.values()];
+}
+
+function parseRenameOption(value) {
+  const rename = parseJsonOption(value);
+  if (rename === undefined) return undefined;
+  if (
+    typeof rename !== "object" ||
+    Array.isArray(rename) ||
+    !Object.values(rename).every(
+      (name) => typeof name === "string" && name && !name.includes("/"),
+    )
+  ) {
+    throw new Error(
+      'rename must map collection ids to new ids, e.g. {"users":"users_staging"}',
+    );
+  }
+  return rename;
+}
+
+// Backups of another project need a session for that project as well.
+async function canRestoreFrom(c, fields, session, projectId) {
+  if (projectId === session.serviceAccount.project_id) return true;
+  const sourceSession = await getSession(
+    c.env,
+    readOption(c, fields, "sourceSessionToken"),
+  );
+  return sourceSession?.serviceAccount.project_id === projectId;
+}
+
+async function openRestoreArchive(c, fields, session) {
+  const key = readOption(c, fields, "archive");
+  const segments = key.split("/");
+  const [prefix, projectId, databaseId, name] = segments;
+  if (
+    segments.length !== 4 ||
+    prefix !== "backups" ||
+    !projectId ||
+    !databaseId ||
+    !ARCHIVE_NAME_PATTERN.test(name || "")
+  ) {
+    throw new Error(`Invalid archive key: ${key}`);
+  }
+
+  if (!(await canRestoreFrom(c, fields, session, projectId))) return null;
+  if (!(await c.env.BACKUP_BUCKET.head(key))) return null;
+  // Incrementals are restored as the snapshot they complete.
+  const keys = await resolveArchiveChain(
+    c.env.BACKUP_BUCKET,
+    backupArchivePrefix(projectId, databaseId),
+    name,
+  );
+  return mergeBackupArchives(c.env.BACKUP_BUCKET, keys);
+}
+
+// Restores a backup into the project of the caller's session. The backup
+// is an uploaded file (`backup`), a stored archive (`archive`) or the
+// result of a backup job (`jobId`). Archives and jobs of another project
+// also need a `sourceSessionToken` for that project.
+app.post("/restore", requireScope("restore"), async (c) => {
+  const session = await getSession(c.env, c.req.header(SESSION_HEADER));
+
+  if (!session) {
     return c.json(
       {
         success: false,
         error:
-          "Valid service account required. Please validate your service account first.",
+          "Valid session token required. Please validate the service account of the target project first.",
       },
       401,
     );
   }
 
   try {
-    const { files } = await parseMultipartForm(c.req.raw);
-    const collectionFiles = files.collections;
+    const { files, fields } = await parseMultipartForm(c.req.raw);
+    const backupFile = files.backup && files.backup[0];
+    const archive = readOption(c, fields, "archive");
+    const jobId = readOption(c, fields, "jobId");
+    const dryRun = parseBoolean(readOption(c, fields, "dryRun"));
+    const runAsync = parseBoolean(readOption(c, fields, "async"));
 
-    if (!collectionFiles || collectionFiles.length === 0) {
+    if ([backupFile, archive, jobId].filter(Boolean).length !== 1) {
       return c.json(
         {
           success: false,
-          error: "No collection files uploaded",
+          error: "Provide exactly one of a backup file, archive or jobId",
         },
         400,
       );
     }
 
-    const serviceAccount = JSON.parse(c.env.SERVICE_ACCOUNT || "{}");
-    const accessToken = await getAccessToken(serviceAccount);
-    const results = [];
+    let writeOptions;
+    let include;
+    let rename;
+    try {
+      writeOptions = parseWriteOptions(c, fields, session);
+      include = parseList(readOption(c, fields, "include"));
+      rename = parseRenameOption(readOption(c, fields, "rename"));
+      if (dryRun && runAsync) {
+        throw new Error("dryRun cannot be combined with async");
+      }
+      if ((archive || jobId) && !c.env.BACKUP_BUCKET) {
+        throw new Error("Backup storage is not configured");
+      }
+    } catch (error) {
+      return c.json(
+        {
+          success: false,
+          error: error.message,
+        },
+        400,
+      );
+    }
 
-    for (const file of collectionFiles) {
+    let records;
+    if (backupFile) {
       try {
-        console.log("Processing file:", file.originalFilename);
-        const jsonData = JSON.parse(new TextDecoder().decode(file.buffer));
-        const collectionName = file.originalFilename.replace(/\.[^/.]+$/, "");
-        console.log("Collection name:", collectionName);
+        records = parseBackupFile(new TextDecoder().decode(backupFile.buffer));
+      } catch (error) {
+        return c.json(
+          {
+            success: false,
+            error: "Backup file is neither /backup JSON nor NDJSON",
+            details: error.message,
+          },
+          400,
+        );
+      }
+    } else if (archive) {
+      records = await openRestoreArchive(c, fields, session);
+    } else {
+      const stub = getJobStub(c.env, jobId);
+      const job =
+        stub && (await (await stub.fetch("https://jobs/status")).json());
+      if (
+        job?.type === "backup" &&
+        job.status === "completed" &&
+        !job.resultExpired &&
+        (await canRestoreFrom(c, fields, session, job.projectId))
+      ) {
+        records = iterateJobBackupRecords(c.env.BACKUP_BUCKET, job);
+      }
+    }
 
-        let documents = [];
+    if (!records) {
+      return c.json(
+        {
+          success: false,
+          error: archive
+            ? "Archive not found"
+            : "Job not found or not a completed backup job",
+        },
+        404,
+      );
+    }
 
-        if (Array.isArray(jsonData)) {
-          documents = jsonData;
-        } else if (typeof jsonData === "object") {
-          if (Object.keys(jsonData).length === 0) {
-            throw new Error("Empty JSON object");
-          }
+    const collections = await buildRestoreEntries(records, {
+      include,
+      rename,
+    });
+    const target = createFirestoreTarget(session.serviceAccount, {
+      databaseId: writeOptions.databaseId,
+      emulatorHost: c.env.FIRESTORE_EMULATOR_HOST,
+    });
 
-          if (Object.values(jsonData).every((val) => typeof val === "object")) {
-            documents = Object.entries(jsonData).map(([id, data]) => ({
-              ...data,
-              _id: id,
-            }));
-          } else {
-            documents = [jsonData];
-          }
-        } else {
-          throw new Error("Invalid JSON structure. Must be an object or array");
-        }
+    if (runAsync) {
+      const restoreJobId = await submitJob(
+        c.env,
+        "upload",
+        {
+          serviceAccount: session.serviceAccount,
+          databaseId: target.databaseId,
+          writeOptions,
+        },
+        collections.map(({ collection, entries }) => ({
+          collection,
+          entries,
+        })),
+        "restore",
+      );
+      return c.json(
+        {
+          success: true,
+          jobId: restoreJobId,
+          status: "queued",
+          statusUrl: `/jobs/${restoreJobId}`,
+        },
+        202,
+      );
+    }
 
-        let successCount = 0;
+    const results = [];
+    for (const { collection, source, entries } of collections) {
+      if (dryRun) {
+        const preview = await previewWrites(target, entries, writeOptions);
+        results.push({
+          collection,
+          source,
+          mode: writeOptions.mode,
+          dryRun: true,
+          totalDocuments: entries.length,
+          ...preview,
+          success: true,
+        });
+        continue;
+      }
 
-        for (let i = 0; i < documents.length; i++) {
-          const doc = documents[i];
-          const docId = doc._id || `doc_${Date.now()}_${i}`;
+      const writes = await writeDocuments(target, entries, writeOptions);
+      results.push({
+        ...summarizeWrites(collection, writeOptions.mode, writes),
+        source,
+      });
+    }
 
-          if (doc._id) {
-            delete doc._id;
-          }
+    return c.json({
+      success: results.every((r) => r.success),
+      projectId: target.projectId,
+      databaseId: target.databaseId,
+      dryRun,
+      results,
+      summary: {
+        totalCollections: results.length,
+        totalDocuments: results.reduce((sum, r) => sum + r.totalDocuments, 0),
+        totalDocumentsUploaded: results.reduce(
+          (sum, r) => sum + (r.documentsUploaded || 0),
+          0,
+        ),
+        totalDocumentsFailed: results.reduce(
+          (sum, r) => sum + (r.failed || 0),
+          0,
+        ),
+      },
+    });
+  } catch (error) {
+    console.error("Restore error:", error);
+    return c.json(
+      {
+        success: false,
+        error: "Error restoring backup",
+        details: error.message,
+      },
+      500,
+    );
+  }
+});
 
-          try {
-            const success = await uploadDocument(
-              serviceAccount.project_id,
-              accessToken,
-              collectionName,
-              docId,
-              doc,
-            );
-
-            if (success) {
-              successCount++;
-            }
-
-            if (i % 10 === 0) {
-              await sleep(1000);
-            }
-          } catch (docError) {
-            console.error(`Error uploading document ${docId}:`, docError);
-          }
-        }
+// A credentials file wins over a session token. Returns null when neither
+// is usable.
+async function resolveCredentials(env, file, sessionToken) {
+  if (file) {
+    let serviceAccount;
+    try {
+      serviceAccount = JSON.parse(new TextDecoder().decode(file.buffer));
+    } catch {
+      return null;
+    }
+    const valid = env.FIRESTORE_EMULATOR_HOST
+      ? typeof serviceAccount?.project_id === "string"
+      : validateServiceAccountStructure(serviceAccount).valid;
+    if (!valid) return null;
+    return { serviceAccount };
+  }
+  return getSession(env, sessionToken);
+}
 
-        results.push({
-          collection: collectionName,
-          documentsUploaded: successCount,
-          totalDocuments: documents.length,
-          success: successCount > 0,
-        });
+// Copies collections from one project (or database) to another without the
+// data leaving the worker. The source comes from `sourceCredentialsFile` or
+// `sourceSessionToken`, the destination from `destinationCredentialsFile`
+// or the session header. Documents are read typed, so every value arrives
+// exactly as it was stored.
+app.post("/copy", requireScope("restore"), async (c) => {
+  try {
+    const { files, fields } = await parseMultipartForm(c.req.raw);
+    const source = await resolveCredentials(
+      c.env,
+      files.sourceCredentialsFile && files.sourceCredentialsFile[0],
+      readOption(c, fields, "sourceSessionToken"),
+    );
+    const destination = await resolveCredentials(
+      c.env,
+      files.destinationCredentialsFile && files.destinationCredentialsFile[0],
+      c.req.header(SESSION_HEADER),
+    );
 
-        console.log("Successfully processed:", collectionName);
-      } catch (fileError) {
-        console.error(
-          "Error processing file:",
-          file.originalFilename,
-          fileError,
-        );
-        results.push({
-          collection: file.originalFilename.replace(/\.[^/.]+$/, ""),
-          error: fileError.message,
+    if (!source || !destination) {
+      return c.json(
+        {
+          success: false,
+          error: `Valid ${source ? "destination" : "source"} credentials or session token required`,
+        },
+        401,
+      );
+    }
+
+    let selection;
+    let rename;
+    let writeOptions;
+    let sourceDatabaseId;
+    let pageSize;
+    try {
+      pageSize = parsePositiveInteger(
+        readOption(c, fields, "pageSize"),
+        "pageSize",
+      );
+      selection = parseBackupSelection(c, fields);
+      rename = parseRenameOption(readOption(c, fields, "rename"));
+      writeOptions = parseWriteOptions(c, fields, destination);
+      sourceDatabaseId =
+        parseDatabaseId(readOption(c, fields, "sourceDatabaseId")) ||
+        source.databaseId;
+    } catch (error) {
+      return c.json(
+        {
           success: false,
+          error: error.message,
+        },
+        400,
+      );
+    }
+
+    const sourceTarget = createFirestoreTarget(source.serviceAccount, {
+      databaseId: sourceDatabaseId,
+      emulatorHost: c.env.FIRESTORE_EMULATOR_HOST,
+    });
+    const destinationTarget = createFirestoreTarget(
+      destination.serviceAccount,
+      {
+        databaseId: writeOptions.databaseId,
+        emulatorHost: c.env.FIRESTORE_EMULATOR_HOST,
+      },
+    );
+    const collections = await resolveBackupCollections(sourceTarget, selection);
+    const records = iterateBackupRecords(sourceTarget, collections, {
+      recursive: parseBoolean(readOption(c, fields, "recursive")),
+      typed: true,
+      // `_path`, rather than an `id` a document may store, decides where it
+      // lands.
+      includePath: true,
+      pageSize,
+      query: selection.query,
+    });
+
+    // Writes go out a chunk at a time so a large collection never has to
+    // fit in memory.
+    const chunkSize =
+      (writeOptions.batchSize || MAX_BATCH_WRITES) *
+      (writeOptions.concurrency || 1);
+    const results = new Map();
+    let pending = [];
+
+    const flush = async () => {
+      const writes = await writeDocuments(
+        destinationTarget,
+        pending.map(({ entry }) => entry),
+        writeOptions,
+      );
+      writes.forEach((write, i) => {
+        const result = results.get(pending[i].collection);
+        result[write.status]++;
+        if (write.attempts > 1 && write.status !== "failed") result.retried++;
+        if (write.status === "failed") result.failures.push(write);
+      });
+      pending = [];
+    };
+
+    for await (const item of iterateRestoreEntries(records, { rename })) {
+      if (!results.has(item.collection)) {
+        results.set(item.collection, {
+          collection: item.collection,
+          source: item.source,
+          totalDocuments: 0,
+          created: 0,
+          updated: 0,
+          skipped: 0,
+          conflicted: 0,
+          failed: 0,
+          retried: 0,
+          failures: [],
         });
       }
+      results.get(item.collection).totalDocuments++;
+      pending.push(item);
+      if (pending.length >= chunkSize) await flush();
     }
+    if (pending.length > 0) await flush();
 
-    const hasErrors = results.some((r) => r.error);
-    const hasSuccesses = results.some((r) => r.success);
+    const collectionResults = [...results.values()].map((result) => ({
+      ...result,
+      copied: result.created + result.updated,
+      success: result.failed === 0,
+    }));
+    const total = (key) =>
+      collectionResults.reduce((sum, result) => sum + result[key], 0);
 
     return c.json({
-      success: hasSuccesses,
-      results,
+      success: collectionResults.every((result) => result.success),
+      source: {
+        projectId: sourceTarget.projectId,
+        databaseId: sourceTarget.databaseId,
+      },
+      destination: {
+        projectId: destinationTarget.projectId,
+        databaseId: destinationTarget.databaseId,
+      },
+      mode: writeOptions.mode,
+      results: collectionResults,
       summary: {
-        totalFiles: collectionFiles.length,
-        successfulFiles: results.filter((r) => r.success).length,
-        failedFiles: results.filter((r) => r.error).length,
-        totalDocumentsUploaded: results.reduce(
-          (sum, r) => sum + (r.documentsUploaded || 0),
-          0,
-        ),
+        totalCollections: collectionResults.length,
+        totalDocuments: total("totalDocuments"),
+        copied: total("copied"),
+        skipped: total("skipped"),
+        conflicted: total("conflicted"),
+        failed: total("failed"),
       },
-      errors: results.filter((r) => r.error),
     });
   } catch (error) {
-    console.error("Upload collection error:", error);
+    console.error("Copy error:", error);
     return c.json(
       {
         success: false,
-        error: "Error uploading collections",
+        error: "Error copying collections",
         details: error.message,
       },
       500,
@@ -922,4 +5826,26 @@ app.onError((err, c) => {
   );
 });
 
-export default app;
\ No newline at end of file
+// Exported for the tests in test/; the Worker itself only uses the default
+// export and JobDurableObject.
+export {
+  app,
+  convertToFirestoreFields,
+  createJWT,
+  firestoreTimestampsToISO,
+  getAccessToken,
+  mergeBackupArchives,
+  normalizeDocuments,
+  parseFirestoreDocument,
+  parseFirestoreValue,
+  pruneBackupArchives,
+  selectExpiredArchives,
+  validateServiceAccountStructure,
+};
+
+export default {
+  fetch: app.fetch,
+  scheduled(event, env, ctx) {
+    ctx.waitUntil(runScheduledBackups(env, event.scheduledTime));
+  },
+};
\ No newline at end of file
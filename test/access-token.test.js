@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { getAccessToken } from "../src/index.js";
+import { createServiceAccount, mockFetch } from "./helpers.js";
+
+const MINUTE = 60 * 1000;
+
+describe("getAccessToken", () => {
+  let fetchMock;
+  let now;
+  let issued;
+
+  beforeEach(() => {
+    now = Date.parse("2024-05-01T12:00:00.000Z");
+    mock.method(Date, "now", () => now);
+    issued = 0;
+    fetchMock = mockFetch((call) => {
+      if (call.url !== "https://oauth2.googleapis.com/token") return;
+      const assertion = call.body.get("assertion").split(".")[1];
+      const { iss } = JSON.parse(Buffer.from(assertion, "base64url"));
+      return Response.json({
+        access_token: `token-${++issued}-${iss}`,
+        expires_in: 3600,
+      });
+    });
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  it("reuses a token until five minutes before it expires", async () => {
+    const { serviceAccount } = await createServiceAccount();
+    const first = await getAccessToken(serviceAccount);
+
+    now += 54 * MINUTE;
+    assert.equal(await getAccessToken(serviceAccount), first);
+    assert.equal(fetchMock.calls.length, 1);
+
+    now += MINUTE;
+    const refreshed = await getAccessToken(serviceAccount);
+    assert.notEqual(refreshed, first);
+    assert.equal(fetchMock.calls.length, 2);
+    assert.equal(await getAccessToken(serviceAccount), refreshed);
+  });
+
+  it("shares one token request between concurrent callers", async () => {
+    const { serviceAccount } = await createServiceAccount();
+
+    const tokens = await Promise.all(
+      Array.from({ length: 5 }, () => getAccessToken(serviceAccount)),
+    );
+
+    assert.equal(new Set(tokens).size, 1);
+    assert.equal(fetchMock.calls.length, 1);
+  });
+
+  it("keeps every account's token to itself", async () => {
+    const { serviceAccount: first } = await createServiceAccount();
+    const { serviceAccount: second } = await createServiceAccount();
+
+    const firstToken = await getAccessToken(first);
+    const secondToken = await getAccessToken(second);
+
+    assert.match(firstToken, new RegExp(first.client_email));
+    assert.match(secondToken, new RegExp(second.client_email));
+    assert.equal(await getAccessToken(first), firstToken);
+    assert.equal(fetchMock.calls.length, 2);
+  });
+
+  it("doesn't hand out a token for a client_email without its key", async () => {
+    const { serviceAccount } = await createServiceAccount();
+    const { serviceAccount: other } = await createServiceAccount();
+    const token = await getAccessToken(serviceAccount);
+
+    const impostor = { ...serviceAccount, private_key: other.private_key };
+    assert.notEqual(await getAccessToken(impostor), token);
+    assert.equal(fetchMock.calls.length, 2);
+  });
+
+  it("caches tokens per scope", async () => {
+    const { serviceAccount } = await createServiceAccount();
+
+    await getAccessToken(serviceAccount);
+    await getAccessToken(
+      serviceAccount,
+      "https://www.googleapis.com/auth/datastore",
+    );
+
+    assert.equal(fetchMock.calls.length, 2);
+  });
+
+  it("doesn't cache failed token requests", async () => {
+    const { serviceAccount } = await createServiceAccount();
+    fetchMock.restore();
+    let attempts = 0;
+    fetchMock = mockFetch(() =>
+      ++attempts === 1
+        ? Response.json(
+            { error: "invalid_grant", error_description: "Invalid JWT" },
+            { status: 400 },
+          )
+        : Response.json({ access_token: "recovered", expires_in: 3600 }),
+    );
+
+    await assert.rejects(getAccessToken(serviceAccount), {
+      message: "Token request failed: Invalid JWT",
+    });
+    assert.equal(await getAccessToken(serviceAccount), "recovered");
+  });
+});
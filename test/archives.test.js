@@ -0,0 +1,267 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import {
+  mergeBackupArchives,
+  pruneBackupArchives,
+  selectExpiredArchives,
+} from "../src/index.js";
+import { createBucket, silenceConsole } from "./helpers.js";
+
+const PREFIX = "backups/demo-project/(default)/";
+
+// One archive a day at 03:00 UTC, newest first like listBackupArchives.
+function dailyArchives(from, to) {
+  const archives = [];
+  for (
+    let date = new Date(`${from}T03:00:00.000Z`);
+    date <= new Date(`${to}T03:00:00.000Z`);
+    date.setUTCDate(date.getUTCDate() + 1)
+  ) {
+    archives.unshift({
+      name: `${date.toISOString().replace(/[:.]/g, "-")}.ndjson`,
+      createdAt: date.toISOString(),
+    });
+  }
+  return archives;
+}
+
+function names(archives) {
+  return archives.map((archive) => archive.name.slice(0, 10));
+}
+
+function chain(...days) {
+  return {
+    archives: days.map((day, index) => ({
+      name: `${day}T03-00-00-000Z.ndjson`,
+      type: index === 0 ? "full" : "incremental",
+    })),
+  };
+}
+
+describe("selectExpiredArchives", () => {
+  const archives = dailyArchives("2024-01-01", "2024-03-31");
+
+  function kept(retention, chains) {
+    const expired = new Set(
+      names(selectExpiredArchives(archives, retention, chains)),
+    );
+    return names(archives).filter((day) => !expired.has(day));
+  }
+
+  it("keeps the newest archive of each recent day, week and month", () => {
+    // 2024-03-31 is a Sunday, so its week started on the 25th.
+    assert.deepEqual(kept({ daily: 3, weekly: 2, monthly: 2 }), [
+      "2024-03-31",
+      "2024-03-30",
+      "2024-03-29",
+      "2024-03-24",
+      "2024-02-29",
+    ]);
+  });
+
+  it("always keeps the newest archive", () => {
+    assert.deepEqual(kept({ daily: 0, weekly: 0, monthly: 0 }), ["2024-03-31"]);
+    assert.deepEqual(selectExpiredArchives([], { daily: 1 }), []);
+  });
+
+  it("keeps every archive a kept incremental builds on", () => {
+    const chains = [
+      chain("2024-03-26", "2024-03-27", "2024-03-28"),
+      chain(
+        "2024-03-20",
+        "2024-03-21",
+        "2024-03-22",
+        "2024-03-23",
+        "2024-03-24",
+      ),
+    ];
+
+    assert.deepEqual(kept({ daily: 3, weekly: 2, monthly: 0 }, chains), [
+      "2024-03-31",
+      "2024-03-30",
+      "2024-03-29",
+      "2024-03-24",
+      "2024-03-23",
+      "2024-03-22",
+      "2024-03-21",
+      "2024-03-20",
+    ]);
+  });
+});
+
+describe("pruneBackupArchives", () => {
+  let bucket;
+
+  beforeEach(async () => {
+    silenceConsole();
+    bucket = createBucket();
+    for (const { name } of dailyArchives("2024-03-20", "2024-03-31")) {
+      await bucket.put(`${PREFIX}${name}`, "");
+    }
+    for (const { archives } of [
+      chain("2024-03-22", "2024-03-23", "2024-03-24", "2024-03-25"),
+      chain("2024-03-27", "2024-03-28"),
+    ]) {
+      await bucket.put(
+        `${PREFIX}chains/${archives[0].name.replace(".ndjson", ".json")}`,
+        JSON.stringify({ archives }),
+      );
+    }
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("deletes expired archives and trims their chains", async () => {
+    await pruneBackupArchives(bucket, PREFIX, {
+      daily: 3,
+      weekly: 2,
+      monthly: 0,
+    });
+
+    assert.deepEqual(
+      [...bucket.objects.keys()].map((key) => key.slice(PREFIX.length)).sort(),
+      [
+        "2024-03-22T03-00-00-000Z.ndjson",
+        "2024-03-23T03-00-00-000Z.ndjson",
+        "2024-03-24T03-00-00-000Z.ndjson",
+        "2024-03-29T03-00-00-000Z.ndjson",
+        "2024-03-30T03-00-00-000Z.ndjson",
+        "2024-03-31T03-00-00-000Z.ndjson",
+        "chains/2024-03-22T03-00-00-000Z.json",
+      ],
+    );
+    const manifest = await bucket.get(
+      `${PREFIX}chains/2024-03-22T03-00-00-000Z.json`,
+    );
+    assert.deepEqual(names((await manifest.json()).archives), [
+      "2024-03-22",
+      "2024-03-23",
+      "2024-03-24",
+    ]);
+  });
+
+  it("leaves the bucket alone when nothing expired", async () => {
+    const before = [...bucket.objects.keys()];
+
+    await pruneBackupArchives(bucket, PREFIX, {
+      daily: 30,
+      weekly: 0,
+      monthly: 0,
+    });
+
+    assert.deepEqual([...bucket.objects.keys()], before);
+  });
+});
+
+describe("mergeBackupArchives", () => {
+  let bucket;
+
+  async function putArchive(name, records) {
+    await bucket.put(
+      `${PREFIX}${name}`,
+      records.map((record) => `${JSON.stringify(record)}\n`).join(""),
+    );
+    return `${PREFIX}${name}`;
+  }
+
+  async function merge(keys) {
+    const records = [];
+    for await (const record of mergeBackupArchives(bucket, keys)) {
+      records.push(record);
+    }
+    return records;
+  }
+
+  const header = { type: "collection", collection: "books", path: "books" };
+  const document = (fields) => ({
+    type: "document",
+    path: "books",
+    document: fields,
+  });
+  const unchanged = (id) => ({ type: "unchanged", path: "books", id });
+  const summary = { type: "summary", success: true };
+
+  beforeEach(() => {
+    bucket = createBucket();
+  });
+
+  it("rebuilds the snapshot of the newest archive", async () => {
+    const keys = [
+      await putArchive("full.ndjson", [
+        header,
+        document({ id: "a", v: 1 }),
+        document({ id: "b", v: 1 }),
+        document({ id: "c", v: 1 }),
+        // A stored `id` field doesn't hide the document id.
+        document({ id: "legacy-7", _id: "d", v: 1 }),
+        summary,
+      ]),
+      await putArchive("incremental-1.ndjson", [
+        header,
+        document({ id: "a", v: 2 }),
+        unchanged("b"),
+        unchanged("d"),
+        summary,
+      ]),
+      await putArchive("incremental-2.ndjson", [
+        header,
+        unchanged("a"),
+        unchanged("b"),
+        unchanged("d"),
+        document({ id: "e", v: 1 }),
+        summary,
+      ]),
+    ];
+
+    assert.deepEqual(await merge(keys), [
+      header,
+      document({ id: "e", v: 1 }),
+      document({ id: "a", v: 2 }),
+      document({ id: "b", v: 1 }),
+      document({ id: "legacy-7", _id: "d", v: 1 }),
+    ]);
+  });
+
+  it("matches nested documents by _path", async () => {
+    const nested = {
+      type: "document",
+      path: "authors/herbert/awards",
+      document: { id: "hugo", _path: "authors/herbert/awards/hugo" },
+    };
+    const keys = [
+      await putArchive("full.ndjson", [nested]),
+      await putArchive("incremental.ndjson", [
+        { type: "unchanged", path: "authors/herbert/awards", id: "hugo" },
+      ]),
+    ];
+
+    assert.deepEqual(await merge(keys), [nested]);
+  });
+
+  it("fails when unchanged documents can't be found", async () => {
+    const keys = [
+      await putArchive("full.ndjson", [header, document({ id: "a" })]),
+      await putArchive("incremental.ndjson", [
+        header,
+        unchanged("a"),
+        unchanged("gone"),
+      ]),
+    ];
+
+    await assert.rejects(merge(keys), {
+      message: "1 unchanged documents are missing from the earlier archives",
+    });
+  });
+
+  it("fails when an archive of the chain is missing", async () => {
+    const key = await putArchive("incremental.ndjson", [
+      header,
+      unchanged("a"),
+    ]);
+
+    await assert.rejects(merge([`${PREFIX}full.ndjson`, key]), {
+      message: `Backup archive ${PREFIX}full.ndjson is missing`,
+    });
+  });
+});
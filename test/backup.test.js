@@ -0,0 +1,462 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { strFromU8, unzipSync } from "fflate";
+
+import { app } from "../src/index.js";
+import {
+  FakeFirestore,
+  createEnv,
+  createForm,
+  createServiceAccount,
+  googleApis,
+  mockFetch,
+  signIn,
+  silenceConsole,
+} from "./helpers.js";
+
+describe("POST /backup", () => {
+  let env;
+  let firestore;
+  let fetchMock;
+  let sessionToken;
+
+  beforeEach(async () => {
+    env = createEnv();
+    firestore = new FakeFirestore();
+    firestore.set("books/dune", {
+      title: { stringValue: "Dune" },
+      pages: { integerValue: "412" },
+      isbn: { integerValue: "9007199254740993" },
+      rating: { doubleValue: 4 },
+      published: { timestampValue: "1965-08-01T00:00:00Z" },
+      author: {
+        referenceValue: `${firestore.documentsRoot}/authors/herbert`,
+      },
+    });
+    firestore.set("books/emma", { title: { stringValue: "Emma" } });
+    firestore.set("authors/herbert", { name: { stringValue: "Herbert" } });
+    firestore.set("authors/herbert/awards/hugo", {
+      year: { integerValue: "1966" },
+    });
+    fetchMock = mockFetch(googleApis(firestore));
+    silenceConsole();
+    const { serviceAccount } = await createServiceAccount();
+    sessionToken = await signIn(app, env, serviceAccount);
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  function backup(fields = {}, query = "") {
+    return app.request(
+      `/backup${query}`,
+      {
+        method: "POST",
+        headers: { "X-Session-Token": sessionToken },
+        body: createForm(fields),
+      },
+      env,
+    );
+  }
+
+  it("exports every collection as plain JSON", async () => {
+    const response = await backup();
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body, {
+      success: true,
+      databaseId: "(default)",
+      collections: [
+        {
+          collection: "authors",
+          documentCount: 1,
+          documents: [{ id: "herbert", name: "Herbert" }],
+        },
+        {
+          collection: "books",
+          documentCount: 2,
+          documents: [
+            {
+              id: "dune",
+              title: "Dune",
+              pages: 412,
+              isbn: 9007199254740992,
+              rating: 4,
+              published: "1965-08-01T00:00:00Z",
+              author: "authors/herbert",
+            },
+            { id: "emma", title: "Emma" },
+          ],
+        },
+      ],
+      totalDocuments: 3,
+      typed: false,
+    });
+  });
+
+  it("keeps Firestore types with typed=true", async () => {
+    const body = await (await backup({ typed: "true" })).json();
+    const dune = body.collections[1].documents[0];
+
+    assert.equal(body.typed, true);
+    assert.deepEqual(dune.isbn, {
+      __type: "integer",
+      value: "9007199254740993",
+    });
+    assert.deepEqual(dune.rating, { __type: "double", value: 4 });
+    assert.deepEqual(dune.published, {
+      __type: "timestamp",
+      value: "1965-08-01T00:00:00Z",
+    });
+    assert.deepEqual(dune.author, {
+      __type: "reference",
+      value: "authors/herbert",
+    });
+    assert.equal(dune.pages, 412);
+  });
+
+  it("follows nextPageToken through every page", async () => {
+    const body = await (await backup({ pageSize: "1" })).json();
+
+    assert.equal(body.collections[1].documentCount, 2);
+    assert.equal(
+      fetchMock.calls.filter((call) => call.url.includes("/documents/books?"))
+        .length,
+      2,
+    );
+  });
+
+  it("exports subcollections with recursive=true", async () => {
+    const body = await (
+      await backup({ recursive: "true", include: "authors" })
+    ).json();
+
+    assert.deepEqual(body.collections, [
+      {
+        collection: "authors",
+        documentCount: 1,
+        documents: [
+          {
+            id: "herbert",
+            name: "Herbert",
+            _path: "authors/herbert",
+            _subcollections: [
+              {
+                collection: "awards",
+                documentCount: 1,
+                documents: [
+                  {
+                    id: "hugo",
+                    year: 1966,
+                    _path: "authors/herbert/awards/hugo",
+                  },
+                ],
+              },
+            ],
+          },
+        ],
+      },
+    ]);
+  });
+
+  it("streams NDJSON records", async () => {
+    const response = await backup({ format: "ndjson", include: "books" });
+    const records = (await response.text())
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+
+    assert.equal(response.headers.get("Content-Type"), "application/x-ndjson");
+    assert.deepEqual(
+      records.map((record) => record.type),
+      ["collection", "document", "document", "summary"],
+    );
+    assert.deepEqual(records[2], {
+      type: "document",
+      path: "books",
+      document: { id: "emma", title: "Emma" },
+    });
+    assert.equal(records[3].totalDocuments, 2);
+  });
+
+  it("exports a single collection as CSV", async () => {
+    const response = await backup({ format: "csv", include: "authors" });
+
+    assert.equal(response.status, 200);
+    assert.equal(await response.text(), "id,name\r\nherbert,Herbert\r\n");
+  });
+
+  it("flattens nested maps into dotted CSV columns", async () => {
+    firestore.set("notes/a", {
+      meta: {
+        mapValue: {
+          fields: {
+            rating: { doubleValue: 4.5 },
+            source: { mapValue: { fields: { name: { stringValue: "web" } } } },
+          },
+        },
+      },
+      tags: {
+        arrayValue: {
+          values: [{ stringValue: "sf" }, { stringValue: "classic" }],
+        },
+      },
+      text: { stringValue: 'Says "hi",\nthen leaves' },
+    });
+    firestore.set("notes/b", { extra: { stringValue: "only here" } });
+
+    const response = await backup({ format: "csv", include: "notes" });
+
+    assert.equal(
+      await response.text(),
+      [
+        "id,meta.rating,meta.source.name,tags,text,extra",
+        'a,4.5,web,"[""sf"",""classic""]","Says ""hi"",\nthen leaves",',
+        "b,,,,,only here",
+        "",
+      ].join("\r\n"),
+    );
+  });
+
+  it("refuses CSV for an empty selection", async () => {
+    const response = await backup({ format: "csv", exclude: "books,authors" });
+
+    assert.equal(response.status, 400);
+  });
+
+  it("zips a CSV per collection pattern with recursive=true", async () => {
+    firestore.set("authors/le-guin", { name: { stringValue: "Le Guin" } });
+    firestore.set("authors/le-guin/awards/nebula", {
+      year: { integerValue: "1970" },
+    });
+
+    const response = await backup({ format: "zip", recursive: "true" });
+    const files = unzipSync(new Uint8Array(await response.arrayBuffer()));
+
+    assert.equal(response.headers.get("Content-Type"), "application/zip");
+    assert.deepEqual(Object.keys(files).sort(), [
+      "authors.csv",
+      "authors/awards.csv",
+      "books.csv",
+      "summary.json",
+    ]);
+    assert.equal(
+      strFromU8(files["authors/awards.csv"]),
+      [
+        "id,year,_path",
+        "hugo,1966,authors/herbert/awards/hugo",
+        "nebula,1970,authors/le-guin/awards/nebula",
+        "",
+      ].join("\r\n"),
+    );
+    assert.deepEqual(JSON.parse(strFromU8(files["summary.json"])).collections, [
+      { collection: "authors", documentCount: 2 },
+      { collection: "authors/awards", documentCount: 2 },
+      { collection: "books", documentCount: 2 },
+    ]);
+  });
+
+  it("zips only a summary for an empty selection", async () => {
+    const response = await backup({ format: "zip", exclude: "books,authors" });
+    const files = unzipSync(new Uint8Array(await response.arrayBuffer()));
+
+    assert.deepEqual(Object.keys(files), ["summary.json"]);
+    assert.deepEqual(
+      JSON.parse(strFromU8(files["summary.json"])).collections,
+      [],
+    );
+  });
+
+  describe("with a query", () => {
+    beforeEach(() => {
+      for (const [id, year, genre] of [
+        ["foundation", 1951, "sf"],
+        ["hyperion", 1989, "sf"],
+        ["neuromancer", 1984, "sf"],
+        ["rebecca", 1938, "gothic"],
+        ["solaris", 1961, "sf"],
+        ["ubik", 1969, "sf"],
+      ]) {
+        firestore.set(`novels/${id}`, {
+          title: { stringValue: id },
+          year: { integerValue: `${year}` },
+          genre: { stringValue: genre },
+        });
+      }
+    });
+
+    function queries() {
+      return fetchMock.calls
+        .filter((call) => call.url.endsWith(":runQuery"))
+        .map((call) => call.body.structuredQuery);
+    }
+
+    it("translates where, orderBy, limit and select into runQuery", async () => {
+      const body = await (
+        await backup({
+          include: "novels",
+          where: JSON.stringify([
+            ["genre", "==", "sf"],
+            { field: "year", op: ">=", value: 1960 },
+          ]),
+          orderBy: "title desc",
+          limit: "3",
+          select: "title",
+        })
+      ).json();
+
+      assert.deepEqual(queries(), [
+        {
+          from: [{ collectionId: "novels" }],
+          orderBy: [
+            { field: { fieldPath: "year" }, direction: "ASCENDING" },
+            { field: { fieldPath: "title" }, direction: "DESCENDING" },
+            { field: { fieldPath: "__name__" }, direction: "DESCENDING" },
+          ],
+          limit: 3,
+          where: {
+            compositeFilter: {
+              op: "AND",
+              filters: [
+                {
+                  fieldFilter: {
+                    field: { fieldPath: "genre" },
+                    op: "EQUAL",
+                    value: { stringValue: "sf" },
+                  },
+                },
+                {
+                  fieldFilter: {
+                    field: { fieldPath: "year" },
+                    op: "GREATER_THAN_OR_EQUAL",
+                    value: { integerValue: "1960" },
+                  },
+                },
+              ],
+            },
+          },
+          // Cursors need the ordered fields, so they are selected as well.
+          select: {
+            fields: [{ fieldPath: "title" }, { fieldPath: "year" }],
+          },
+        },
+      ]);
+      assert.deepEqual(body.collections[0].documents, [
+        { id: "solaris", title: "solaris" },
+        { id: "ubik", title: "ubik" },
+        { id: "neuromancer", title: "neuromancer" },
+      ]);
+    });
+
+    it("turns == null into a unary filter", async () => {
+      await backup({
+        include: "novels",
+        where: JSON.stringify(["series", "==", null]),
+      });
+
+      assert.deepEqual(queries()[0].where, {
+        unaryFilter: { field: { fieldPath: "series" }, op: "IS_NULL" },
+      });
+    });
+
+    it("resumes each page after the last document's cursor", async () => {
+      const body = await (
+        await backup({
+          include: "novels",
+          where: JSON.stringify(["genre", "==", "sf"]),
+          orderBy: "year",
+          pageSize: "2",
+          limit: "4",
+        })
+      ).json();
+
+      assert.deepEqual(
+        body.collections[0].documents.map((document) => document.id),
+        ["foundation", "solaris", "ubik", "neuromancer"],
+      );
+      assert.deepEqual(
+        queries().map(({ limit, startAt }) => ({ limit, startAt })),
+        [
+          { limit: 2, startAt: undefined },
+          {
+            limit: 2,
+            startAt: {
+              values: [
+                { integerValue: "1961" },
+                {
+                  referenceValue: `${firestore.documentsRoot}/novels/solaris`,
+                },
+              ],
+              before: false,
+            },
+          },
+        ],
+      );
+    });
+
+    it("stops after a short page", async () => {
+      const body = await (
+        await backup({
+          include: "novels",
+          where: JSON.stringify(["genre", "==", "sf"]),
+          pageSize: "2",
+        })
+      ).json();
+
+      assert.equal(body.collections[0].documentCount, 5);
+      assert.equal(queries().length, 3);
+    });
+
+    it("rejects unsupported operators", async () => {
+      const response = await backup({
+        include: "novels",
+        where: JSON.stringify(["year", "~", 1960]),
+      });
+
+      assert.equal(response.status, 400);
+    });
+  });
+
+  it("accepts a credentials file instead of a session", async () => {
+    const { serviceAccount } = await createServiceAccount();
+    const response = await app.request(
+      "/backup",
+      {
+        method: "POST",
+        body: createForm({
+          credentialsFile: {
+            filename: "account.json",
+            content: serviceAccount,
+          },
+          include: "authors",
+        }),
+      },
+      env,
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).totalDocuments, 1);
+  });
+
+  it("rejects requests without credentials", async () => {
+    const response = await app.request(
+      "/backup",
+      { method: "POST", body: createForm({}) },
+      env,
+    );
+    assert.equal(response.status, 400);
+  });
+
+  it("rejects an unknown format", async () => {
+    const response = await backup({ format: "xml" });
+    assert.equal(response.status, 400);
+    assert.equal(
+      (await response.json()).message,
+      "Unsupported backup format: xml",
+    );
+  });
+});
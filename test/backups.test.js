@@ -0,0 +1,141 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { app } from "../src/index.js";
+import {
+  FakeFirestore,
+  createBucket,
+  createEnv,
+  createForm,
+  createServiceAccount,
+  googleApis,
+  mockFetch,
+  silenceConsole,
+} from "./helpers.js";
+
+const PREFIX = "backups/demo-project/(default)/";
+const CHAIN = `${PREFIX}chains/2024-05-01T03-00-00-000Z.json`;
+
+function archive(day) {
+  return `2024-05-0${day}T03-00-00-000Z.ndjson`;
+}
+
+describe("DELETE /backups/:databaseId/:name", () => {
+  let env;
+  let fetchMock;
+  let sessionToken;
+
+  beforeEach(async () => {
+    env = createEnv({
+      BACKUP_BUCKET: createBucket(),
+      API_KEYS: JSON.stringify([
+        { name: "ci", key: "backup-key-0123456789", scopes: ["backup"] },
+        { name: "ops", key: "restore-key-0123456789", scopes: ["restore"] },
+      ]),
+    });
+    // A full archive with two incrementals, and an archive of its own.
+    for (const day of [1, 2, 3, 4]) {
+      await env.BACKUP_BUCKET.put(`${PREFIX}${archive(day)}`, "");
+    }
+    await env.BACKUP_BUCKET.put(
+      CHAIN,
+      JSON.stringify({
+        archives: [1, 2, 3].map((day, index) => ({
+          name: archive(day),
+          type: index === 0 ? "full" : "incremental",
+        })),
+      }),
+    );
+    fetchMock = mockFetch(googleApis(new FakeFirestore()));
+    silenceConsole();
+
+    const { serviceAccount } = await createServiceAccount();
+    const response = await app.request(
+      "/validate-service-account",
+      {
+        method: "POST",
+        headers: { "X-API-Key": "backup-key-0123456789" },
+        body: createForm({
+          serviceAccount: { filename: "account.json", content: serviceAccount },
+        }),
+      },
+      env,
+    );
+    ({ sessionToken } = await response.json());
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  function remove(name, key = "backup-key-0123456789") {
+    return app.request(
+      `/backups/(default)/${name}`,
+      {
+        method: "DELETE",
+        headers: { "X-API-Key": key, "X-Session-Token": sessionToken },
+      },
+      env,
+    );
+  }
+
+  function readChain() {
+    const manifest = env.BACKUP_BUCKET.objects.get(CHAIN);
+    return (
+      manifest &&
+      JSON.parse(new TextDecoder().decode(manifest)).archives.map(
+        (entry) => entry.name,
+      )
+    );
+  }
+
+  it("refuses to delete an archive later incrementals depend on", async () => {
+    const response = await remove(archive(2));
+
+    assert.equal(response.status, 409);
+    assert.deepEqual((await response.json()).dependents, [archive(3)]);
+    assert.equal(env.BACKUP_BUCKET.objects.has(`${PREFIX}${archive(2)}`), true);
+    assert.deepEqual(readChain(), [archive(1), archive(2), archive(3)]);
+  });
+
+  it("drops the newest archive of a chain from its manifest", async () => {
+    const response = await remove(archive(3));
+
+    assert.equal(response.status, 200);
+    assert.equal(
+      env.BACKUP_BUCKET.objects.has(`${PREFIX}${archive(3)}`),
+      false,
+    );
+    assert.deepEqual(readChain(), [archive(1), archive(2)]);
+  });
+
+  it("deletes the manifest along with the last archive of a chain", async () => {
+    for (const day of [3, 2, 1]) {
+      assert.equal((await remove(archive(day))).status, 200);
+    }
+
+    assert.equal(readChain(), undefined);
+    assert.deepEqual(
+      [...env.BACKUP_BUCKET.objects.keys()],
+      [`${PREFIX}${archive(4)}`],
+    );
+  });
+
+  it("deletes archives outside any chain", async () => {
+    const response = await remove(archive(4));
+
+    assert.equal(response.status, 200);
+    assert.equal(
+      env.BACKUP_BUCKET.objects.has(`${PREFIX}${archive(4)}`),
+      false,
+    );
+  });
+
+  it("needs the backup scope", async () => {
+    const response = await remove(archive(4), "restore-key-0123456789");
+
+    assert.equal(response.status, 403);
+    assert.equal(env.BACKUP_BUCKET.objects.has(`${PREFIX}${archive(4)}`), true);
+  });
+});
@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { app } from "../src/index.js";
+import {
+  FakeFirestore,
+  createEnv,
+  createForm,
+  createServiceAccount,
+  googleApis,
+  mockFetch,
+  signIn,
+  silenceConsole,
+} from "./helpers.js";
+
+describe("POST /copy", () => {
+  let env;
+  let firestore;
+  let fetchMock;
+  let sessionToken;
+
+  beforeEach(async () => {
+    env = createEnv();
+    firestore = new FakeFirestore();
+    fetchMock = mockFetch(googleApis(firestore));
+    silenceConsole();
+    const { serviceAccount } = await createServiceAccount();
+    sessionToken = await signIn(app, env, serviceAccount);
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  function copy(fields) {
+    return app.request(
+      "/copy",
+      {
+        method: "POST",
+        headers: { "X-Session-Token": sessionToken },
+        body: createForm({ sourceSessionToken: sessionToken, ...fields }),
+      },
+      env,
+    );
+  }
+
+  it("copies documents under their own ids, stored id fields included", async () => {
+    firestore.set("users/u1", {
+      id: { stringValue: "u1" },
+      name: { stringValue: "Ada" },
+    });
+    firestore.set("users/u2", {
+      id: { stringValue: "legacy-7" },
+      name: { stringValue: "Grace" },
+    });
+    firestore.set("users/u3", { name: { stringValue: "Edsger" } });
+
+    const response = await copy({
+      include: "users",
+      rename: JSON.stringify({ users: "users_copy" }),
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.summary.copied, 3);
+    assert.deepEqual(firestore.documents.get("users_copy/u1"), {
+      id: { stringValue: "u1" },
+      name: { stringValue: "Ada" },
+    });
+    assert.deepEqual(firestore.documents.get("users_copy/u2"), {
+      id: { stringValue: "legacy-7" },
+      name: { stringValue: "Grace" },
+    });
+    assert.deepEqual(firestore.documents.get("users_copy/u3"), {
+      name: { stringValue: "Edsger" },
+    });
+    assert.equal(firestore.documents.has("users_copy/legacy-7"), false);
+  });
+});
@@ -0,0 +1,169 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { app } from "../src/index.js";
+import {
+  FakeFirestore,
+  createEnv,
+  createForm,
+  createServiceAccount,
+  googleApis,
+  mockFetch,
+  signIn,
+  silenceConsole,
+} from "./helpers.js";
+
+const DATABASES_URL =
+  "https://firestore.googleapis.com/v1/projects/demo-project/databases";
+
+describe("named databases", () => {
+  let env;
+  let main;
+  let reports;
+  let fetchMock;
+  let serviceAccount;
+
+  beforeEach(async () => {
+    env = createEnv();
+    main = new FakeFirestore();
+    main.set("books/dune", { title: { stringValue: "Dune" } });
+    reports = new FakeFirestore("demo-project", "reports");
+    reports.set("daily/monday", { total: { integerValue: "3" } });
+    const handlers = { main: googleApis(main), reports: googleApis(reports) };
+    fetchMock = mockFetch((call) => {
+      if (call.url === DATABASES_URL) {
+        return Response.json({
+          databases: [main, reports].map((firestore) => ({
+            name: firestore.databaseRoot,
+            locationId: "eur3",
+            type: "FIRESTORE_NATIVE",
+            concurrencyMode: "PESSIMISTIC",
+            createTime: "2024-01-01T00:00:00Z",
+          })),
+        });
+      }
+      return call.url.includes("/databases/reports")
+        ? handlers.reports(call)
+        : handlers.main(call);
+    });
+    silenceConsole();
+    ({ serviceAccount } = await createServiceAccount());
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  async function signInTo(databaseId) {
+    const response = await app.request(
+      "/validate-service-account",
+      {
+        method: "POST",
+        body: createForm({
+          serviceAccount: { filename: "account.json", content: serviceAccount },
+          ...(databaseId ? { databaseId } : {}),
+        }),
+      },
+      env,
+    );
+    return response.json();
+  }
+
+  function backup(sessionToken, fields = {}) {
+    return app.request(
+      "/backup",
+      {
+        method: "POST",
+        headers: { "X-Session-Token": sessionToken },
+        body: createForm(fields),
+      },
+      env,
+    );
+  }
+
+  it("lists the project's databases", async () => {
+    const sessionToken = await signIn(app, env, serviceAccount);
+    const response = await app.request(
+      "/databases",
+      { headers: { "X-Session-Token": sessionToken } },
+      env,
+    );
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), {
+      success: true,
+      projectId: "demo-project",
+      databases: ["(default)", "reports"].map((databaseId) => ({
+        databaseId,
+        locationId: "eur3",
+        type: "FIRESTORE_NATIVE",
+        concurrencyMode: "PESSIMISTIC",
+        createTime: "2024-01-01T00:00:00Z",
+      })),
+    });
+  });
+
+  it("checks the database the session is for", async () => {
+    const body = await signInTo("reports");
+
+    assert.equal(body.success, true);
+    assert.equal(body.accountInfo.databaseId, "reports");
+    assert.ok(
+      fetchMock.calls.some(
+        (call) =>
+          call.url ===
+          `https://firestore.googleapis.com/v1/${reports.documentsRoot}:listCollectionIds`,
+      ),
+    );
+  });
+
+  it("backs up the session's database", async () => {
+    const { sessionToken } = await signInTo("reports");
+    const body = await (await backup(sessionToken)).json();
+
+    assert.equal(body.databaseId, "reports");
+    assert.deepEqual(body.collections[0].documents, [
+      { id: "monday", total: 3 },
+    ]);
+  });
+
+  it("lets a request pick another database", async () => {
+    const { sessionToken } = await signInTo("reports");
+    const body = await (
+      await backup(sessionToken, { databaseId: "(default)" })
+    ).json();
+
+    assert.equal(body.databaseId, "(default)");
+    assert.deepEqual(body.collections[0].documents, [
+      { id: "dune", title: "Dune" },
+    ]);
+  });
+
+  it("writes uploads to the requested database", async () => {
+    const sessionToken = await signIn(app, env, serviceAccount);
+    const response = await app.request(
+      "/upload-collection",
+      {
+        method: "POST",
+        headers: { "X-Session-Token": sessionToken },
+        body: createForm({
+          collections: { filename: "daily.json", content: { tuesday: {} } },
+          databaseId: "reports",
+        }),
+      },
+      env,
+    );
+
+    assert.equal((await response.json()).databaseId, "reports");
+    assert.equal(reports.documents.has("daily/tuesday"), true);
+    assert.equal(main.documents.has("daily/tuesday"), false);
+  });
+
+  it("rejects invalid database ids", async () => {
+    const sessionToken = await signIn(app, env, serviceAccount);
+    const response = await backup(sessionToken, { databaseId: "Reports!" });
+
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,118 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { app } from "../src/index.js";
+import {
+  FakeFirestore,
+  createEnv,
+  createForm,
+  mockFetch,
+  silenceConsole,
+} from "./helpers.js";
+
+describe("FIRESTORE_EMULATOR_HOST", () => {
+  let env;
+  let firestore;
+  let fetchMock;
+
+  beforeEach(() => {
+    env = createEnv({ FIRESTORE_EMULATOR_HOST: "localhost:8080" });
+    firestore = new FakeFirestore();
+    firestore.set("books/dune", { title: { stringValue: "Dune" } });
+    // Anything but the emulator fails the request.
+    fetchMock = mockFetch((call) =>
+      call.url.startsWith("http://localhost:8080/v1/")
+        ? firestore.handle(call)
+        : undefined,
+    );
+    silenceConsole();
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  // The emulator only needs a project id; there is no key to sign with.
+  async function signIn() {
+    const response = await app.request(
+      "/validate-service-account",
+      {
+        method: "POST",
+        body: createForm({
+          serviceAccount: {
+            filename: "account.json",
+            content: { project_id: "demo-project" },
+          },
+        }),
+      },
+      env,
+    );
+    return response.json();
+  }
+
+  it("signs in against the emulator without OAuth", async () => {
+    const body = await signIn();
+
+    assert.equal(body.success, true);
+    assert.equal(body.accountInfo.emulator, "http://localhost:8080/v1");
+    assert.deepEqual(
+      fetchMock.calls.map((call) => call.url),
+      [`http://localhost:8080/v1/${firestore.documentsRoot}:listCollectionIds`],
+    );
+  });
+
+  it("sends every Firestore call to the emulator as owner", async () => {
+    const { sessionToken } = await signIn();
+    const response = await app.request(
+      "/backup",
+      {
+        method: "POST",
+        headers: { "X-Session-Token": sessionToken },
+        body: createForm({}),
+      },
+      env,
+    );
+    const body = await response.json();
+
+    assert.deepEqual(body.collections[0].documents, [
+      { id: "dune", title: "Dune" },
+    ]);
+    for (const call of fetchMock.calls) {
+      assert.match(call.url, /^http:\/\/localhost:8080\/v1\//);
+      assert.equal(call.headers.Authorization, "Bearer owner");
+    }
+  });
+
+  it("accepts a full emulator URL", async () => {
+    env.FIRESTORE_EMULATOR_HOST = "http://localhost:8080/";
+
+    assert.equal((await signIn()).success, true);
+  });
+
+  it("lists only the default database", async () => {
+    const { sessionToken } = await signIn();
+    const response = await app.request(
+      "/databases",
+      { headers: { "X-Session-Token": sessionToken } },
+      env,
+    );
+
+    assert.deepEqual((await response.json()).databases, [
+      { databaseId: "(default)" },
+    ]);
+  });
+
+  it("reports an emulator that doesn't answer", async () => {
+    fetchMock.restore();
+    fetchMock = mockFetch(() => {});
+
+    const body = await signIn();
+
+    assert.equal(body.success, false);
+    assert.equal(
+      body.errors[0].message,
+      "Firestore emulator at http://localhost:8080/v1 is not reachable",
+    );
+  });
+});
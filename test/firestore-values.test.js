@@ -0,0 +1,249 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  convertToFirestoreFields,
+  firestoreTimestampsToISO,
+  parseFirestoreDocument,
+  parseFirestoreValue,
+} from "../src/index.js";
+
+const documentsRoot = "projects/demo-project/databases/(default)/documents";
+
+describe("convertToFirestoreFields", () => {
+  it("converts plain JSON values", () => {
+    assert.deepEqual(
+      convertToFirestoreFields({
+        name: "Ada",
+        age: 36,
+        score: 9.5,
+        active: true,
+        deleted: null,
+        tags: ["a", 1],
+        address: { city: "London" },
+      }),
+      {
+        name: { stringValue: "Ada" },
+        age: { integerValue: "36" },
+        score: { doubleValue: 9.5 },
+        active: { booleanValue: true },
+        deleted: { nullValue: null },
+        tags: {
+          arrayValue: { values: [{ stringValue: "a" }, { integerValue: "1" }] },
+        },
+        address: {
+          mapValue: { fields: { city: { stringValue: "London" } } },
+        },
+      },
+    );
+  });
+
+  it("drops undefined values", () => {
+    assert.deepEqual(convertToFirestoreFields({ a: undefined, b: 1 }), {
+      b: { integerValue: "1" },
+    });
+  });
+
+  it("restores typed values", () => {
+    assert.deepEqual(
+      convertToFirestoreFields(
+        {
+          big: { __type: "integer", value: "9007199254740993" },
+          whole: { __type: "double", value: 1 },
+          at: { __type: "timestamp", value: "2024-01-01T00:00:00.123456Z" },
+          where: {
+            __type: "geopoint",
+            value: { latitude: 1.5, longitude: -3 },
+          },
+          author: { __type: "reference", value: "users/ada" },
+          raw: { __type: "bytes", value: "AAE=" },
+          lookalike: { __type: "map", value: { __type: "x", value: 1 } },
+        },
+        { documentsRoot },
+      ),
+      {
+        big: { integerValue: "9007199254740993" },
+        whole: { doubleValue: 1 },
+        at: { timestampValue: "2024-01-01T00:00:00.123456Z" },
+        where: { geoPointValue: { latitude: 1.5, longitude: -3 } },
+        author: { referenceValue: `${documentsRoot}/users/ada` },
+        raw: { bytesValue: "AAE=" },
+        lookalike: {
+          mapValue: {
+            fields: {
+              __type: { stringValue: "x" },
+              value: { integerValue: "1" },
+            },
+          },
+        },
+      },
+    );
+  });
+
+  it("keeps absolute references as they are", () => {
+    const reference = "projects/other/databases/(default)/documents/users/a";
+    assert.deepEqual(
+      convertToFirestoreFields(
+        { ref: { __type: "reference", value: reference } },
+        { documentsRoot },
+      ),
+      { ref: { referenceValue: reference } },
+    );
+  });
+});
+
+describe("parseFirestoreValue", () => {
+  it("parses every value type", () => {
+    assert.equal(parseFirestoreValue({ stringValue: "x" }), "x");
+    assert.equal(parseFirestoreValue({ integerValue: "42" }), 42);
+    assert.equal(parseFirestoreValue({ doubleValue: 1.5 }), 1.5);
+    assert.equal(parseFirestoreValue({ booleanValue: false }), false);
+    assert.equal(parseFirestoreValue({ nullValue: null }), null);
+    assert.equal(
+      parseFirestoreValue({ timestampValue: "2024-01-01T00:00:00Z" }),
+      "2024-01-01T00:00:00Z",
+    );
+    assert.deepEqual(parseFirestoreValue({ geoPointValue: { latitude: 2 } }), {
+      latitude: 2,
+      longitude: 0,
+    });
+    assert.equal(
+      parseFirestoreValue({ referenceValue: `${documentsRoot}/users/a` }),
+      "users/a",
+    );
+    assert.deepEqual(
+      parseFirestoreValue({
+        arrayValue: { values: [{ integerValue: "1" }, { stringValue: "b" }] },
+      }),
+      [1, "b"],
+    );
+    assert.deepEqual(parseFirestoreValue({ arrayValue: {} }), []);
+    assert.deepEqual(
+      parseFirestoreValue({
+        mapValue: { fields: { nested: { mapValue: {} } } },
+      }),
+      { nested: {} },
+    );
+  });
+
+  it("wraps values JSON can't hold when typed", () => {
+    const typed = { typed: true };
+    assert.deepEqual(
+      parseFirestoreValue({ integerValue: "9007199254740993" }, typed),
+      { __type: "integer", value: "9007199254740993" },
+    );
+    assert.equal(parseFirestoreValue({ integerValue: "7" }, typed), 7);
+    assert.deepEqual(parseFirestoreValue({ doubleValue: 1 }, typed), {
+      __type: "double",
+      value: 1,
+    });
+    assert.deepEqual(parseFirestoreValue({ doubleValue: "NaN" }, typed), {
+      __type: "double",
+      value: "NaN",
+    });
+    assert.equal(parseFirestoreValue({ doubleValue: 0.25 }, typed), 0.25);
+    assert.deepEqual(
+      parseFirestoreValue(
+        {
+          mapValue: {
+            fields: {
+              __type: { stringValue: "integer" },
+              value: { stringValue: "1" },
+            },
+          },
+        },
+        typed,
+      ),
+      { __type: "map", value: { __type: "integer", value: "1" } },
+    );
+  });
+
+  it("round-trips typed values through convertToFirestoreFields", () => {
+    const fields = {
+      big: { integerValue: "9007199254740993" },
+      small: { integerValue: "5" },
+      whole: { doubleValue: 1 },
+      nan: { doubleValue: "NaN" },
+      at: { timestampValue: "2024-01-01T00:00:00.123456Z" },
+      where: { geoPointValue: { latitude: 1.5, longitude: -3 } },
+      author: { referenceValue: `${documentsRoot}/users/a` },
+      raw: { bytesValue: "AAE=" },
+      list: {
+        arrayValue: {
+          values: [
+            { timestampValue: "2024-01-01T00:00:00Z" },
+            { nullValue: null },
+          ],
+        },
+      },
+    };
+    const parsed = {};
+    for (const [key, value] of Object.entries(fields)) {
+      parsed[key] = parseFirestoreValue(value, { typed: true });
+    }
+    const json = JSON.parse(JSON.stringify(parsed));
+
+    assert.deepEqual(convertToFirestoreFields(json, { documentsRoot }), fields);
+  });
+});
+
+describe("parseFirestoreDocument", () => {
+  const doc = {
+    name: `${documentsRoot}/users/ada/orders/1`,
+    fields: { total: { integerValue: "3" } },
+    createTime: "2024-01-01T00:00:00Z",
+    updateTime: "2024-02-01T00:00:00Z",
+  };
+
+  it("adds the document id", () => {
+    assert.deepEqual(parseFirestoreDocument(doc), { id: "1", total: 3 });
+  });
+
+  it("adds the path and update time on request", () => {
+    assert.deepEqual(
+      parseFirestoreDocument(doc, {
+        includePath: true,
+        includeUpdateTime: true,
+      }),
+      {
+        id: "1",
+        total: 3,
+        _path: "users/ada/orders/1",
+        _updateTime: "2024-02-01T00:00:00Z",
+      },
+    );
+  });
+
+  it("marks documents without createTime as missing", () => {
+    const { createTime, ...missing } = doc;
+    assert.equal(
+      parseFirestoreDocument(missing, { includePath: true })._missing,
+      true,
+    );
+  });
+});
+
+describe("firestoreTimestampsToISO", () => {
+  it("converts SDK timestamps anywhere in the data", () => {
+    assert.deepEqual(
+      firestoreTimestampsToISO({
+        createdAt: { seconds: 1704067200, nanoseconds: 500000000 },
+        history: [{ at: { seconds: 0, nanoseconds: 0 } }],
+        name: "Ada",
+        nested: { count: 1 },
+      }),
+      {
+        createdAt: "2024-01-01T00:00:00.500Z",
+        history: [{ at: "1970-01-01T00:00:00.000Z" }],
+        name: "Ada",
+        nested: { count: 1 },
+      },
+    );
+  });
+
+  it("leaves values without nanoseconds alone", () => {
+    assert.deepEqual(firestoreTimestampsToISO({ t: { seconds: 1 } }), {
+      t: { seconds: 1 },
+    });
+  });
+});
@@ -0,0 +1,231 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { strToU8, zipSync } from "fflate";
+
+import { app } from "../src/index.js";
+import {
+  FakeFirestore,
+  createEnv,
+  createForm,
+  createServiceAccount,
+  googleApis,
+  mockFetch,
+  signIn,
+  silenceConsole,
+} from "./helpers.js";
+
+// A UTF-8 CSV with a byte order mark and CRLF line endings, as Excel saves
+// it. Dune's blurb spans two lines and quotes a word.
+const BOOKS_CSV = readFileSync(
+  new URL("./fixtures/books.csv", import.meta.url),
+);
+
+const XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+
+// Builds an .xlsx workbook with a single "Books" sheet. Style 1 is a date.
+function createXlsx(sheetData, sharedStrings = []) {
+  return zipSync({
+    "[Content_Types].xml": strToU8(
+      `${XML}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+    ),
+    "xl/workbook.xml": strToU8(
+      `${XML}<workbook xmlns="${MAIN_NS}" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Books" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    ),
+    "xl/_rels/workbook.xml.rels": strToU8(
+      `${XML}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    ),
+    "xl/styles.xml": strToU8(
+      `${XML}<styleSheet xmlns="${MAIN_NS}"><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs></styleSheet>`,
+    ),
+    "xl/sharedStrings.xml": strToU8(
+      `${XML}<sst xmlns="${MAIN_NS}" count="${sharedStrings.length}" uniqueCount="${sharedStrings.length}">${sharedStrings.map((si) => `<si>${si}</si>`).join("")}</sst>`,
+    ),
+    "xl/worksheets/sheet1.xml": strToU8(
+      `${XML}<worksheet xmlns="${MAIN_NS}"><sheetData>${sheetData}</sheetData></worksheet>`,
+    ),
+  });
+}
+
+describe("tabular uploads", () => {
+  let env;
+  let firestore;
+  let fetchMock;
+  let sessionToken;
+
+  beforeEach(async () => {
+    env = createEnv();
+    firestore = new FakeFirestore();
+    fetchMock = mockFetch(googleApis(firestore));
+    silenceConsole();
+    const { serviceAccount } = await createServiceAccount();
+    sessionToken = await signIn(app, env, serviceAccount);
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  async function upload(filename, content, fields = {}) {
+    const response = await app.request(
+      "/upload-collection",
+      {
+        method: "POST",
+        headers: { "X-Session-Token": sessionToken },
+        body: createForm({
+          collections: { filename, content },
+          idColumn: "id",
+          ...fields,
+        }),
+      },
+      env,
+    );
+    return { status: response.status, body: await response.json() };
+  }
+
+  describe("CSV", () => {
+    it("reads quoted newlines, escaped quotes and a BOM", async () => {
+      const { status } = await upload("books.csv", BOOKS_CSV);
+
+      assert.equal(status, 200);
+      assert.deepEqual(
+        [...firestore.documents.keys()].filter((path) =>
+          path.startsWith("books/"),
+        ),
+        ["books/dune", "books/emma"],
+      );
+      assert.deepEqual(firestore.documents.get("books/dune").blurb, {
+        stringValue: 'Spice, sand\r\nand "worms"',
+      });
+    });
+
+    it("infers cell types and leaves empty cells out", async () => {
+      await upload("books.csv", BOOKS_CSV);
+
+      assert.deepEqual(firestore.documents.get("books/emma"), {
+        title: { stringValue: "Emma" },
+        pages: { integerValue: "474" },
+        published: { timestampValue: "1815-12-23T00:00:00.000Z" },
+        inStock: { stringValue: "no" },
+      });
+    });
+
+    it("coerces cells to their columnTypes", async () => {
+      await upload("books.csv", BOOKS_CSV, {
+        columnTypes: JSON.stringify({
+          pages: "double",
+          published: "timestamp",
+          tags: "json",
+          "meta.rating": "number",
+          isbn: "string",
+          inStock: "boolean",
+        }),
+      });
+
+      assert.deepEqual(firestore.documents.get("books/dune"), {
+        title: { stringValue: "Dune" },
+        blurb: { stringValue: 'Spice, sand\r\nand "worms"' },
+        pages: { doubleValue: 412 },
+        published: { timestampValue: "1965-08-01T00:00:00.000Z" },
+        tags: {
+          arrayValue: {
+            values: [{ stringValue: "sf" }, { stringValue: "classic" }],
+          },
+        },
+        meta: { mapValue: { fields: { rating: { doubleValue: 4.5 } } } },
+        isbn: { stringValue: "9780441172719" },
+        inStock: { booleanValue: true },
+      });
+      assert.deepEqual(firestore.documents.get("books/emma").inStock, {
+        booleanValue: false,
+      });
+    });
+
+    it("names the row and column of a cell that doesn't fit its type", async () => {
+      const { body } = await upload("books.csv", BOOKS_CSV, {
+        columnTypes: JSON.stringify({ title: "integer" }),
+      });
+
+      assert.equal(
+        body.results[0].error,
+        'Row 2, column title: "Dune" is not a valid integer',
+      );
+      assert.equal(firestore.documents.size, 0);
+    });
+
+    it("rejects a JSON Schema given as columnTypes", async () => {
+      const { status, body } = await upload("books.csv", BOOKS_CSV, {
+        columnTypes: JSON.stringify({
+          type: "object",
+          properties: { pages: { type: "integer" } },
+        }),
+      });
+
+      assert.equal(status, 400);
+      assert.equal(
+        body.error,
+        "columnTypes maps fields to type names; JSON Schemas go in schemas",
+      );
+    });
+  });
+
+  describe("XLSX", () => {
+    const HEADER =
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c><c r="D1" t="s"><v>3</v></c><c r="E1" t="s"><v>4</v></c></row>';
+    const SHARED_STRINGS = [
+      "<t>id</t>",
+      "<t>title</t>",
+      "<t>pages</t>",
+      "<t>published</t>",
+      "<t>inStock</t>",
+      "<t>dune</t>",
+      // Rich text comes in runs.
+      '<r><t>Dune</t></r><r><rPr><b/></rPr><t xml:space="preserve"> Messiah</t></r>',
+      "<t>messiah</t>",
+    ];
+
+    it("reads shared and inline strings", async () => {
+      const workbook = createXlsx(
+        `${HEADER}<row r="2"><c r="A2" t="s"><v>5</v></c><c r="B2" t="inlineStr"><is><t>Dune &amp; Sons</t></is></c><c r="C2"><v>412</v></c><c r="D2" s="1"><v>23955</v></c><c r="E2" t="b"><v>1</v></c></row><row r="3"><c r="A3" t="s"><v>7</v></c><c r="B3" t="s"><v>6</v></c><c r="D3" s="1"><v>25355</v></c></row>`,
+        SHARED_STRINGS,
+      );
+      const { status } = await upload("books.xlsx", workbook);
+
+      assert.equal(status, 200);
+      assert.deepEqual(firestore.documents.get("books/dune"), {
+        title: { stringValue: "Dune & Sons" },
+        pages: { integerValue: "412" },
+        published: { timestampValue: "1965-08-01T00:00:00.000Z" },
+        inStock: { booleanValue: true },
+      });
+      // C3 is missing altogether.
+      assert.deepEqual(firestore.documents.get("books/messiah"), {
+        title: { stringValue: "Dune Messiah" },
+        published: { timestampValue: "1969-06-01T00:00:00.000Z" },
+      });
+    });
+
+    it("coerces cells to their columnTypes", async () => {
+      const workbook = createXlsx(
+        `${HEADER}<row r="2"><c r="A2" t="s"><v>5</v></c><c r="B2" t="inlineStr"><is><t>1965</t></is></c><c r="C2"><v>412</v></c><c r="D2" s="1"><v>23955</v></c></row>`,
+        SHARED_STRINGS,
+      );
+      await upload("books.xlsx", workbook, {
+        columnTypes: JSON.stringify({
+          title: "string",
+          pages: "string",
+          published: "string",
+        }),
+      });
+
+      assert.deepEqual(firestore.documents.get("books/dune"), {
+        title: { stringValue: "1965" },
+        pages: { stringValue: "412" },
+        published: { stringValue: "1965-08-01T00:00:00.000Z" },
+      });
+    });
+  });
+});
@@ -0,0 +1,327 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { JobDurableObject, app } from "../src/index.js";
+import {
+  FakeFirestore,
+  createBucket,
+  createDurableObjectNamespace,
+  createEnv,
+  createForm,
+  createServiceAccount,
+  googleApis,
+  mockFetch,
+  signIn,
+  silenceConsole,
+} from "./helpers.js";
+
+const MINUTE = 60 * 1000;
+
+describe("backup jobs", () => {
+  let env;
+  let firestore;
+  let fetchMock;
+  let serviceAccount;
+  let sessionToken;
+  let now;
+
+  beforeEach(async () => {
+    env = createEnv({ BACKUP_BUCKET: createBucket() });
+    env.JOBS = createDurableObjectNamespace(JobDurableObject, env);
+    firestore = new FakeFirestore();
+    for (let i = 1; i <= 5; i++) {
+      firestore.set(`books/b${i}`, { n: { integerValue: `${i}` } });
+    }
+    // Every page of books takes four minutes to read.
+    now = Date.now();
+    const handler = googleApis(firestore);
+    fetchMock = mockFetch((call) => {
+      if (call.url.includes("/documents/books?")) now += 4 * MINUTE;
+      return handler(call);
+    });
+    silenceConsole();
+    ({ serviceAccount } = await createServiceAccount());
+    sessionToken = await signIn(app, env, serviceAccount);
+    mock.method(Date, "now", () => now);
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  async function request(path, init = {}) {
+    const response = await app.request(
+      path,
+      {
+        ...init,
+        headers: { "X-Session-Token": sessionToken, ...init.headers },
+      },
+      env,
+    );
+    return response;
+  }
+
+  async function submitBackup(fields) {
+    const response = await request("/backup", {
+      method: "POST",
+      body: createForm({ async: "true", ...fields }),
+    });
+    return (await response.json()).jobId;
+  }
+
+  async function readResult(jobId) {
+    const response = await request(`/jobs/${jobId}/result`);
+    return (await response.text())
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+  }
+
+  it("resumes a large collection from the page it stopped at", async () => {
+    const jobId = await submitBackup({ include: "books", pageSize: "1" });
+
+    // The first slice runs out of time after three pages.
+    assert.equal(await env.JOBS.runAlarms(), 2);
+
+    const job = await (await request(`/jobs/${jobId}`)).json();
+    assert.equal(job.status, "completed");
+    assert.equal(job.progress.documentsProcessed, 5);
+    assert.equal(job.result.parts, 2);
+    assert.equal(
+      fetchMock.calls.filter((call) => call.url.includes("/documents/books?"))
+        .length,
+      5,
+    );
+
+    const records = await readResult(jobId);
+    assert.deepEqual(
+      records.map((record) => record.type),
+      [
+        "collection",
+        "document",
+        "document",
+        "document",
+        "document",
+        "document",
+        "summary",
+      ],
+    );
+    assert.deepEqual(
+      records
+        .filter((record) => record.type === "document")
+        .map((record) => record.document.id),
+      ["b1", "b2", "b3", "b4", "b5"],
+    );
+  });
+
+  it("resumes a filtered backup from its query cursor", async () => {
+    fetchMock.restore();
+    const handler = googleApis(firestore);
+    fetchMock = mockFetch((call) => {
+      if (call.url.endsWith(":runQuery")) now += 4 * MINUTE;
+      return handler(call);
+    });
+    const jobId = await submitBackup({
+      include: "books",
+      where: JSON.stringify(["n", ">=", 2]),
+      pageSize: "1",
+    });
+
+    assert.equal(await env.JOBS.runAlarms(), 2);
+    assert.deepEqual(
+      (await readResult(jobId))
+        .filter((record) => record.type === "document")
+        .map((record) => record.document.id),
+      ["b2", "b3", "b4", "b5"],
+    );
+  });
+
+  // Runs the job's alarms one by one and returns how many fetches each made.
+  async function runSlices(jobId) {
+    const object = env.JOBS.objects.get(jobId);
+    const slices = [];
+    do {
+      const before = fetchMock.calls.length;
+      object.alarm = null;
+      await object.instance.alarm();
+      slices.push(fetchMock.calls.length - before);
+    } while (object.values.get("job").status === "running");
+    return slices;
+  }
+
+  describe("recursive", () => {
+    // Listing a document's subcollections is a subrequest of its own, so
+    // herbert's books take more than one slice.
+    beforeEach(() => {
+      firestore.set("authors/herbert", {});
+      for (let i = 0; i < 900; i++) {
+        firestore.set(
+          `authors/herbert/books/${String(i).padStart(3, "0")}`,
+          {},
+        );
+      }
+      firestore.set("authors/le-guin", {});
+    });
+
+    it("stops a slice short of the subrequest limit", async () => {
+      const jobId = await submitBackup({
+        include: "authors",
+        recursive: "true",
+      });
+      const slices = await runSlices(jobId);
+
+      assert.equal(slices.length, 2);
+      for (const fetches of slices) assert.ok(fetches < 1000);
+
+      const records = await readResult(jobId);
+      assert.deepEqual(
+        records
+          .filter((record) => record.type === "collection")
+          .map((record) => record.path),
+        ["authors", "authors/herbert/books"],
+      );
+      const paths = records
+        .filter((record) => record.type === "document")
+        .map((record) => record.document._path);
+      assert.equal(paths.length, 902);
+      assert.equal(new Set(paths).size, 902);
+      assert.equal(paths[0], "authors/herbert");
+      assert.equal(paths.at(-1), "authors/le-guin");
+    });
+
+    it("refuses format=csv for a result with subcollections", async () => {
+      const jobId = await submitBackup({
+        include: "authors",
+        recursive: "true",
+      });
+      await env.JOBS.runAlarms();
+
+      const response = await request(`/jobs/${jobId}/result?format=csv`);
+      assert.equal(response.status, 400);
+      assert.match((await response.json()).error, /holds 2; use format=zip/);
+    });
+
+    it("estimates the time left from the root documents", async () => {
+      const jobId = await submitBackup({
+        include: "authors",
+        recursive: "true",
+      });
+      await env.JOBS.objects.get(jobId).instance.alarm();
+      now += MINUTE;
+
+      const job = await (await request(`/jobs/${jobId}`)).json();
+      assert.equal(job.status, "running");
+      assert.equal(job.progress.documentsTotal, null);
+      assert.equal(job.progress.rootDocumentsTotal, 2);
+      assert.equal(job.progress.rootDocumentsProcessed, 1);
+      assert.equal(job.etaSeconds, 60);
+    });
+  });
+
+  it("deletes the result of a completed backup after a week", async () => {
+    const jobId = await submitBackup({ include: "books" });
+    await env.JOBS.runAlarms();
+    const part = `jobs/${jobId}/part-0.ndjson`;
+    assert.equal(env.BACKUP_BUCKET.objects.has(part), true);
+
+    now += 7 * 24 * 60 * MINUTE;
+    assert.equal(await env.JOBS.runAlarms(), 1);
+
+    assert.equal(env.BACKUP_BUCKET.objects.has(part), false);
+    const response = await request(`/jobs/${jobId}/result`);
+    assert.equal(response.status, 410);
+  });
+
+  it("replays lost progress without duplicating autoId documents", async () => {
+    // Every batch of writes takes four minutes.
+    fetchMock.restore();
+    const handler = googleApis(firestore);
+    fetchMock = mockFetch((call) => {
+      if (call.url.endsWith(":batchWrite")) now += 4 * MINUTE;
+      return handler(call);
+    });
+    const response = await request("/upload-collection", {
+      method: "POST",
+      body: createForm({
+        collections: {
+          filename: "notes.json",
+          content: Array.from({ length: 500 }, (_, n) => ({ n })),
+        },
+        autoId: "true",
+        batchSize: "100",
+        async: "true",
+      }),
+    });
+    const { jobId } = await response.json();
+    const { values, instance } = env.JOBS.objects.get(jobId);
+
+    // The first slice writes three batches, then the object is evicted
+    // before its progress is stored.
+    const stored = structuredClone([...values]);
+    await instance.alarm();
+    assert.equal(firestore.documents.size - 5, 300);
+    values.clear();
+    for (const [key, value] of stored) values.set(key, value);
+
+    await env.JOBS.runAlarms();
+    const job = await (await request(`/jobs/${jobId}`)).json();
+    assert.equal(job.status, "completed");
+    assert.deepEqual(
+      [job.result.results[0].created, job.result.results[0].updated],
+      [200, 300],
+    );
+    const written = [...firestore.documents.keys()].filter((path) =>
+      path.startsWith("notes/"),
+    );
+    assert.equal(written.length, 500);
+    for (const path of written) assert.match(path, /^notes\/[A-Za-z0-9]{20}$/);
+  });
+
+  it("stops an upload slice short of the subrequest limit", async () => {
+    // Keep the clock moving for the write throttle.
+    fetchMock.restore();
+    const handler = googleApis(firestore);
+    fetchMock = mockFetch((call) => {
+      if (call.url.endsWith(":batchWrite")) now += 100;
+      return handler(call);
+    });
+    const response = await request("/upload-collection", {
+      method: "POST",
+      body: createForm({
+        collections: {
+          filename: "notes.json",
+          content: Array.from({ length: 1000 }, (_, n) => ({ n })),
+        },
+        batchSize: "1",
+        async: "true",
+      }),
+    });
+    const { jobId } = await response.json();
+    const slices = await runSlices(jobId);
+
+    assert.equal(slices.length, 3);
+    for (const fetches of slices) assert.ok(fetches < 1000);
+    const job = await (await request(`/jobs/${jobId}`)).json();
+    assert.equal(job.result.results[0].created, 1000);
+  });
+
+  it("keeps the service account encrypted in storage", async () => {
+    const jobId = await submitBackup({ include: "books" });
+    const { values } = env.JOBS.objects.get(jobId);
+
+    assert.deepEqual(Object.keys(values.get("params").serviceAccount), [
+      "iv",
+      "data",
+    ]);
+    assert.doesNotMatch(
+      JSON.stringify([...values]),
+      new RegExp(serviceAccount.client_email),
+    );
+
+    await env.JOBS.runAlarms();
+    const job = await (await request(`/jobs/${jobId}`)).json();
+    assert.equal(job.status, "completed");
+    assert.equal(values.has("params"), false);
+  });
+});
@@ -0,0 +1,170 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { app } from "../src/index.js";
+import {
+  FakeFirestore,
+  createEnv,
+  createForm,
+  createServiceAccount,
+  googleApis,
+  mockFetch,
+  signIn,
+  silenceConsole,
+} from "./helpers.js";
+
+// Stands in for the Workers rate limiting binding: `limit` requests per key.
+function createRateLimiter(limit) {
+  const counts = new Map();
+  return {
+    counts,
+    async limit({ key }) {
+      counts.set(key, (counts.get(key) || 0) + 1);
+      return { success: counts.get(key) <= limit };
+    },
+  };
+}
+
+describe("per-client rate limits", () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = mockFetch(googleApis(new FakeFirestore()));
+    silenceConsole();
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  function listBackups(env, headers = {}) {
+    return app.request("/backups", { headers }, env);
+  }
+
+  it("limits anonymous clients by IP address", async () => {
+    const env = createEnv({ RATE_LIMITER: createRateLimiter(2) });
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push(
+        (await listBackups(env, { "CF-Connecting-IP": "203.0.113.7" })).status,
+      );
+    }
+    const other = await listBackups(env, { "CF-Connecting-IP": "203.0.113.8" });
+
+    assert.deepEqual(statuses, [401, 401, 429]);
+    assert.equal(other.status, 401);
+    assert.deepEqual(
+      [...env.RATE_LIMITER.counts.keys()],
+      ["ip:203.0.113.7", "ip:203.0.113.8"],
+    );
+  });
+
+  it("limits authenticated clients by key name", async () => {
+    const env = createEnv({
+      RATE_LIMITER: createRateLimiter(1),
+      API_KEYS: JSON.stringify([
+        { name: "ci", key: "backup-key-0123456789", scopes: ["backup"] },
+      ]),
+    });
+    const headers = {
+      "X-API-Key": "backup-key-0123456789",
+      "CF-Connecting-IP": "203.0.113.7",
+    };
+
+    await listBackups(env, headers);
+    const limited = await listBackups(env, headers);
+
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get("Retry-After"), "60");
+    assert.deepEqual(await limited.json(), {
+      success: false,
+      error: "Too many requests. Please retry later.",
+    });
+    assert.deepEqual([...env.RATE_LIMITER.counts.keys()], ["client:ci"]);
+  });
+
+  it("counts refused credentials against the IP address", async () => {
+    const env = createEnv({
+      RATE_LIMITER: createRateLimiter(2),
+      API_KEYS: JSON.stringify([
+        { name: "ci", key: "backup-key-0123456789", scopes: ["backup"] },
+      ]),
+    });
+    const statuses = [];
+    for (const key of ["wrong", "guess", "another"]) {
+      const response = await listBackups(env, {
+        "X-API-Key": key,
+        "CF-Connecting-IP": "203.0.113.7",
+      });
+      statuses.push(response.status);
+    }
+    const valid = await listBackups(env, {
+      "X-API-Key": "backup-key-0123456789",
+      "CF-Connecting-IP": "203.0.113.7",
+    });
+
+    assert.deepEqual(statuses, [401, 401, 429]);
+    assert.notEqual(valid.status, 429);
+    assert.deepEqual(Object.fromEntries(env.RATE_LIMITER.counts), {
+      "ip:203.0.113.7": 3,
+      "client:ci": 1,
+    });
+  });
+});
+
+describe("write throttling", () => {
+  let env;
+  let firestore;
+  let fetchMock;
+  let sessionToken;
+
+  beforeEach(async () => {
+    env = createEnv();
+    firestore = new FakeFirestore();
+    fetchMock = mockFetch(googleApis(firestore));
+    silenceConsole();
+    const { serviceAccount } = await createServiceAccount();
+    sessionToken = await signIn(app, env, serviceAccount);
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  it("retries writes Firestore refused with RESOURCE_EXHAUSTED", async () => {
+    let exhausted = 1;
+    const write = firestore.write.bind(firestore);
+    firestore.write = (request) => {
+      if (exhausted-- > 0) {
+        return { code: 8, message: "Quota exceeded." };
+      }
+      return write(request);
+    };
+
+    const response = await app.request(
+      "/upload-collection",
+      {
+        method: "POST",
+        headers: { "X-Session-Token": sessionToken },
+        body: createForm({
+          collections: {
+            filename: "books.json",
+            content: { a: { n: 1 }, b: { n: 2 } },
+          },
+        }),
+      },
+      env,
+    );
+    const body = await response.json();
+
+    assert.equal(body.success, true);
+    assert.equal(body.summary.totalDocumentsRetried, 1);
+    assert.deepEqual(body.results[0].writes, [
+      { id: "books/a", status: "created", attempts: 2 },
+      { id: "books/b", status: "created" },
+    ]);
+    assert.equal(firestore.documents.size, 2);
+  });
+});
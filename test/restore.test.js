@@ -0,0 +1,152 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { app } from "../src/index.js";
+import {
+  FakeFirestore,
+  createBucket,
+  createEnv,
+  createForm,
+  createJobNamespace,
+  createServiceAccount,
+  googleApis,
+  mockFetch,
+  signIn,
+  silenceConsole,
+} from "./helpers.js";
+
+describe("POST /restore", () => {
+  let env;
+  let firestore;
+  let fetchMock;
+  let sessionToken;
+
+  beforeEach(async () => {
+    env = createEnv();
+    firestore = new FakeFirestore();
+    // u1 and u2 store an `id` field of their own.
+    firestore.set("users/u1", {
+      id: { stringValue: "u1" },
+      name: { stringValue: "Ada" },
+    });
+    firestore.set("users/u2", {
+      id: { stringValue: "legacy-7" },
+      name: { stringValue: "Grace" },
+    });
+    firestore.set("users/u3", { name: { stringValue: "Edsger" } });
+    fetchMock = mockFetch(googleApis(firestore));
+    silenceConsole();
+    const { serviceAccount } = await createServiceAccount();
+    sessionToken = await signIn(app, env, serviceAccount);
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  async function request(path, fields) {
+    const response = await app.request(
+      path,
+      {
+        method: "POST",
+        headers: { "X-Session-Token": sessionToken },
+        body: createForm(fields),
+      },
+      env,
+    );
+    return { status: response.status, response };
+  }
+
+  async function backup(format) {
+    const { response } = await request("/backup", { format });
+    return response.text();
+  }
+
+  function restore(content, fields = {}) {
+    return request("/restore", {
+      backup: { filename: "backup.json", content },
+      rename: JSON.stringify({ users: "restored" }),
+      ...fields,
+    });
+  }
+
+  it("keeps document ids apart from stored id fields", async () => {
+    const body = JSON.parse(await backup("json"));
+
+    assert.deepEqual(body.collections[0].documents, [
+      { id: "u1", name: "Ada", _id: "u1" },
+      { id: "legacy-7", name: "Grace", _id: "u2" },
+      { id: "u3", name: "Edsger" },
+    ]);
+  });
+
+  for (const format of ["json", "ndjson"]) {
+    it(`restores stored id fields from ${format} backups`, async () => {
+      const { status } = await restore(await backup(format));
+
+      assert.equal(status, 200);
+      assert.deepEqual(firestore.documents.get("restored/u1"), {
+        id: { stringValue: "u1" },
+        name: { stringValue: "Ada" },
+      });
+      assert.deepEqual(firestore.documents.get("restored/u2"), {
+        id: { stringValue: "legacy-7" },
+        name: { stringValue: "Grace" },
+      });
+      assert.deepEqual(firestore.documents.get("restored/u3"), {
+        name: { stringValue: "Edsger" },
+      });
+      assert.equal(firestore.documents.has("restored/legacy-7"), false);
+    });
+  }
+
+  describe("from a backup job", () => {
+    beforeEach(async () => {
+      env.BACKUP_BUCKET = createBucket();
+      env.JOBS = createJobNamespace({
+        "job-other": {
+          jobId: "job-other",
+          type: "backup",
+          status: "completed",
+          projectId: "other-project",
+          databaseId: "(default)",
+          result: { parts: 1 },
+        },
+      });
+      await env.BACKUP_BUCKET.put(
+        "jobs/job-other/part-0.ndjson",
+        [
+          { type: "collection", collection: "books", path: "books" },
+          {
+            type: "document",
+            path: "books",
+            document: { id: "dune", title: "Dune" },
+          },
+        ]
+          .map((record) => `${JSON.stringify(record)}\n`)
+          .join(""),
+      );
+    });
+
+    it("needs a session for the job's project", async () => {
+      const { status } = await request("/restore", { jobId: "job-other" });
+
+      assert.equal(status, 404);
+      assert.equal(firestore.documents.has("books/dune"), false);
+    });
+
+    it("restores another project's job with its session", async () => {
+      const { serviceAccount } = await createServiceAccount("other-project");
+      const { status } = await request("/restore", {
+        jobId: "job-other",
+        sourceSessionToken: await signIn(app, env, serviceAccount),
+      });
+
+      assert.equal(status, 200);
+      assert.deepEqual(firestore.documents.get("books/dune"), {
+        title: { stringValue: "Dune" },
+      });
+    });
+  });
+});
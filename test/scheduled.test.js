@@ -0,0 +1,151 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import worker, { JobDurableObject } from "../src/index.js";
+import {
+  FakeFirestore,
+  createBucket,
+  createDurableObjectNamespace,
+  createEnv,
+  createServiceAccount,
+  googleApis,
+  mockFetch,
+  silenceConsole,
+} from "./helpers.js";
+
+const SCHEDULED_TIME = Date.parse("2024-05-01T03:00:00.000Z");
+const PREFIX = "backups/demo-project/(default)/";
+
+function runScheduled(env, scheduledTime = SCHEDULED_TIME) {
+  let run;
+  worker.scheduled({ scheduledTime }, env, {
+    waitUntil(promise) {
+      run = promise;
+    },
+  });
+  return run;
+}
+
+function readArchive(env, name) {
+  return new TextDecoder()
+    .decode(env.BACKUP_BUCKET.objects.get(`${PREFIX}${name}`))
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+}
+
+describe("scheduled backups", () => {
+  let env;
+  let fetchMock;
+
+  beforeEach(async () => {
+    const firestore = new FakeFirestore();
+    firestore.set("books/dune", { title: { stringValue: "Dune" } });
+    firestore.set("books/dune/reviews/first", { stars: { integerValue: "5" } });
+    fetchMock = mockFetch(googleApis(firestore));
+    silenceConsole();
+    const { serviceAccount } = await createServiceAccount();
+    env = createEnv({
+      BACKUP_BUCKET: createBucket(),
+      DEMO_CREDENTIALS: JSON.stringify(serviceAccount),
+      BROKEN_CREDENTIALS: JSON.stringify({ project_id: "broken" }),
+    });
+    env.JOBS = createDurableObjectNamespace(JobDurableObject, env);
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  it("writes an archive per project from a job", async () => {
+    env.SCHEDULED_BACKUPS = JSON.stringify([
+      { credentialsSecret: "DEMO_CREDENTIALS" },
+    ]);
+
+    await runScheduled(env);
+    // The cron only submits the job.
+    assert.equal(env.JOBS.objects.size, 1);
+    assert.equal(env.BACKUP_BUCKET.objects.size, 0);
+
+    await env.JOBS.runAlarms();
+    assert.deepEqual(
+      [...env.BACKUP_BUCKET.objects.keys()],
+      [`${PREFIX}2024-05-01T03-00-00-000Z.ndjson`],
+    );
+    const [{ values }] = env.JOBS.objects.values();
+    assert.equal(values.get("job").status, "completed");
+    assert.equal(values.get("job").scope, "backup");
+  });
+
+  it("leaves subcollections out unless recursive is set", async () => {
+    env.SCHEDULED_BACKUPS = JSON.stringify([
+      { credentialsSecret: "DEMO_CREDENTIALS" },
+    ]);
+    await runScheduled(env);
+    await env.JOBS.runAlarms();
+
+    const records = readArchive(env, "2024-05-01T03-00-00-000Z.ndjson");
+    assert.deepEqual(
+      records.map((record) => record.type),
+      ["collection", "document", "summary"],
+    );
+    assert.equal(records.at(-1).totalDocuments, 1);
+
+    env.SCHEDULED_BACKUPS = JSON.stringify([
+      { credentialsSecret: "DEMO_CREDENTIALS", recursive: true },
+    ]);
+    await runScheduled(env, SCHEDULED_TIME + 60 * 60 * 1000);
+    await env.JOBS.runAlarms();
+
+    const recursive = readArchive(env, "2024-05-01T04-00-00-000Z.ndjson");
+    assert.deepEqual(
+      recursive
+        .filter((record) => record.type === "collection")
+        .map((record) => record.path),
+      ["books", "books/dune/reviews"],
+    );
+  });
+
+  it("adds incremental archives to their chain", async () => {
+    env.SCHEDULED_BACKUPS = JSON.stringify([
+      { credentialsSecret: "DEMO_CREDENTIALS", incremental: true },
+    ]);
+
+    await runScheduled(env);
+    await env.JOBS.runAlarms();
+    await runScheduled(env, SCHEDULED_TIME + 24 * 60 * 60 * 1000);
+    await env.JOBS.runAlarms();
+
+    const manifest = JSON.parse(
+      new TextDecoder().decode(
+        env.BACKUP_BUCKET.objects.get(
+          `${PREFIX}chains/2024-05-01T03-00-00-000Z.json`,
+        ),
+      ),
+    );
+    assert.deepEqual(
+      manifest.archives.map(({ name, type }) => ({ name, type })),
+      [
+        { name: "2024-05-01T03-00-00-000Z.ndjson", type: "full" },
+        { name: "2024-05-02T03-00-00-000Z.ndjson", type: "incremental" },
+      ],
+    );
+    assert.equal(manifest.archives[1].since, manifest.archives[0].checkpoint);
+  });
+
+  it("backs up the other projects when an entry is misconfigured", async () => {
+    env.SCHEDULED_BACKUPS = JSON.stringify([
+      { credentialsSecret: "MISSING_CREDENTIALS" },
+      { credentialsSecret: "BROKEN_CREDENTIALS" },
+      { credentialsSecret: "DEMO_CREDENTIALS" },
+    ]);
+
+    await assert.rejects(runScheduled(env), {
+      message:
+        "Scheduled backups failed for: MISSING_CREDENTIALS, BROKEN_CREDENTIALS",
+    });
+    await env.JOBS.runAlarms();
+    assert.equal(env.BACKUP_BUCKET.objects.size, 1);
+  });
+});
@@ -0,0 +1,219 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { app } from "../src/index.js";
+import {
+  FakeFirestore,
+  createBucket,
+  createEnv,
+  createForm,
+  createServiceAccount,
+  googleApis,
+  mockFetch,
+  signIn,
+  silenceConsole,
+} from "./helpers.js";
+
+const BOOK_SCHEMA = {
+  type: "object",
+  required: ["title"],
+  properties: {
+    title: { type: "string" },
+    pages: { type: "integer", minimum: 1 },
+  },
+  additionalProperties: false,
+};
+
+describe("/schemas", () => {
+  let env;
+  let firestore;
+  let fetchMock;
+  let sessionToken;
+
+  beforeEach(async () => {
+    env = createEnv({ BACKUP_BUCKET: createBucket() });
+    firestore = new FakeFirestore();
+    fetchMock = mockFetch(googleApis(firestore));
+    silenceConsole();
+    const { serviceAccount } = await createServiceAccount();
+    sessionToken = await signIn(app, env, serviceAccount);
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  async function request(path, init = {}) {
+    const response = await app.request(
+      path,
+      {
+        ...init,
+        headers: { "X-Session-Token": sessionToken, ...init.headers },
+      },
+      env,
+    );
+    return { status: response.status, body: await response.json() };
+  }
+
+  function putSchema(collection, schema) {
+    return request(`/schemas/${collection}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(schema),
+    });
+  }
+
+  function upload(documents, fields = {}) {
+    return request("/upload-collection", {
+      method: "POST",
+      body: createForm({
+        collections: { filename: "books.json", content: documents },
+        ...fields,
+      }),
+    });
+  }
+
+  it("stores, lists, fetches and deletes a schema", async () => {
+    assert.deepEqual(await putSchema("authors/awards", BOOK_SCHEMA), {
+      status: 200,
+      body: { success: true, collection: "authors/awards" },
+    });
+    assert.equal(
+      env.BACKUP_BUCKET.objects.has(
+        "schemas/demo-project/(default)/authors/awards.json",
+      ),
+      true,
+    );
+
+    const list = await request("/schemas");
+    assert.deepEqual(
+      list.body.schemas.map((schema) => schema.collection),
+      ["authors/awards"],
+    );
+
+    const fetched = await request("/schemas/authors/awards");
+    assert.deepEqual(fetched.body.schema, BOOK_SCHEMA);
+
+    const deleted = await request("/schemas/authors/awards", {
+      method: "DELETE",
+    });
+    assert.equal(deleted.status, 200);
+    assert.equal((await request("/schemas/authors/awards")).status, 404);
+    assert.equal(
+      (await request("/schemas/authors/awards", { method: "DELETE" })).status,
+      404,
+    );
+  });
+
+  it("refuses schemas that don't compile", async () => {
+    const { status, body } = await putSchema("books", {
+      $ref: "#/$defs/missing",
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, "Invalid JSON Schema");
+    assert.equal(env.BACKUP_BUCKET.objects.size, 0);
+  });
+
+  it("refuses collection patterns that escape the schema folder", async () => {
+    const { status } = await request("/schemas/books/..%2F..%2Fother");
+
+    assert.equal(status, 400);
+  });
+
+  describe("on upload", () => {
+    const BOOKS = {
+      dune: { title: "Dune", pages: 412 },
+      emma: { title: "Emma", pages: 0, author: "Austen" },
+      untitled: { pages: 12 },
+    };
+
+    beforeEach(async () => {
+      await putSchema("books", BOOK_SCHEMA);
+    });
+
+    it("rejects the file and reports every failing document", async () => {
+      const { body } = await upload(BOOKS);
+
+      assert.equal(firestore.documents.size, 0);
+      assert.deepEqual(body.results[0], {
+        collection: "books",
+        error: "2 of 3 documents failed schema validation",
+        violations: [
+          {
+            id: "books/emma",
+            errors: [
+              {
+                path: "/pages",
+                keyword: "minimum",
+                message: "0 is less than 1.",
+              },
+              {
+                path: "/author",
+                keyword: "additionalProperties",
+                message: "Property is not allowed by the schema.",
+              },
+            ],
+          },
+          {
+            id: "books/untitled",
+            errors: [
+              {
+                path: "/",
+                keyword: "required",
+                message: 'Instance does not have required property "title".',
+              },
+            ],
+          },
+        ],
+        success: false,
+      });
+    });
+
+    it("quarantines failing documents with onInvalid=quarantine", async () => {
+      const { body } = await upload(BOOKS, { onInvalid: "quarantine" });
+
+      assert.deepEqual(
+        body.results.map(({ collection, created }) => ({
+          collection,
+          created,
+        })),
+        [
+          { collection: "books", created: 1 },
+          { collection: "books_quarantine", created: 2 },
+        ],
+      );
+      assert.equal(firestore.documents.has("books/dune"), true);
+      const quarantined = firestore.documents.get("books_quarantine/untitled");
+      assert.equal(quarantined.path.stringValue, "books/untitled");
+      assert.equal(
+        quarantined.errors.arrayValue.values[0].mapValue.fields.keyword
+          .stringValue,
+        "required",
+      );
+    });
+
+    it("prefers a schema uploaded with the data", async () => {
+      const { body } = await upload(BOOKS, {
+        schemas: {
+          filename: "books.schema.json",
+          content: { type: "object" },
+        },
+      });
+
+      assert.equal(body.results[0].created, 3);
+      assert.deepEqual(body.results[0].schemas, ["books"]);
+    });
+
+    it("doesn't take schema for either kind of schema", async () => {
+      const { status, body } = await upload(BOOKS, {
+        schema: JSON.stringify({ type: "object" }),
+      });
+
+      assert.equal(status, 400);
+      assert.match(body.error, /^Unknown option schema/);
+      assert.equal(firestore.documents.size, 0);
+    });
+  });
+});
@@ -0,0 +1,247 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import {
+  app,
+  createJWT,
+  validateServiceAccountStructure,
+} from "../src/index.js";
+import {
+  FakeFirestore,
+  createEnv,
+  createForm,
+  createServiceAccount,
+  googleApis,
+  mockFetch,
+  silenceConsole,
+} from "./helpers.js";
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString());
+}
+
+describe("validateServiceAccountStructure", () => {
+  it("accepts a complete service account", async () => {
+    const { serviceAccount } = await createServiceAccount();
+    assert.deepEqual(validateServiceAccountStructure(serviceAccount), {
+      valid: true,
+      errors: {
+        missingFields: false,
+        invalidType: false,
+        invalidEmail: false,
+        invalidPrivateKey: false,
+      },
+    });
+  });
+
+  it("reports each problem separately", async () => {
+    const { serviceAccount } = await createServiceAccount();
+    const { client_id, ...incomplete } = serviceAccount;
+
+    assert.equal(
+      validateServiceAccountStructure(incomplete).errors.missingFields,
+      true,
+    );
+    assert.equal(
+      validateServiceAccountStructure({ ...serviceAccount, type: "user" })
+        .errors.invalidType,
+      true,
+    );
+    assert.equal(
+      validateServiceAccountStructure({
+        ...serviceAccount,
+        client_email: "someone@example.com",
+      }).errors.invalidEmail,
+      true,
+    );
+    assert.equal(
+      validateServiceAccountStructure({
+        ...serviceAccount,
+        private_key: "not a key",
+      }).errors.invalidPrivateKey,
+      true,
+    );
+  });
+});
+
+describe("createJWT", () => {
+  it("signs an RS256 token the public key verifies", async () => {
+    const { serviceAccount, publicKey } = await createServiceAccount();
+    const payload = {
+      iss: serviceAccount.client_email,
+      aud: "https://oauth2.googleapis.com/token",
+      iat: 1700000000,
+      exp: 1700003600,
+    };
+
+    const jwt = await createJWT(payload, serviceAccount.private_key);
+    const [header, body, signature] = jwt.split(".");
+
+    assert.deepEqual(decodeSegment(header), { alg: "RS256", typ: "JWT" });
+    assert.deepEqual(decodeSegment(body), payload);
+    assert.doesNotMatch(jwt, /[+/=]/);
+    assert.equal(
+      await crypto.subtle.verify(
+        "RSASSA-PKCS1-v1_5",
+        publicKey,
+        Buffer.from(signature, "base64url"),
+        new TextEncoder().encode(`${header}.${body}`),
+      ),
+      true,
+    );
+  });
+});
+
+describe("POST /validate-service-account", () => {
+  let env;
+  let firestore;
+  let fetchMock;
+  let options;
+
+  beforeEach(() => {
+    env = createEnv();
+    firestore = new FakeFirestore();
+    options = {};
+    fetchMock = mockFetch(googleApis(firestore, options));
+    silenceConsole();
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  async function validate(fields) {
+    const response = await app.request(
+      "/validate-service-account",
+      { method: "POST", body: createForm(fields) },
+      env,
+    );
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function validateAccount(serviceAccount) {
+    return validate({
+      serviceAccount: { filename: "account.json", content: serviceAccount },
+    });
+  }
+
+  it("creates a session for a valid account", async () => {
+    const { serviceAccount } = await createServiceAccount();
+    options.keyIds = [serviceAccount.private_key_id];
+
+    const { status, body } = await validateAccount(serviceAccount);
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.match(body.sessionToken, /^[\w-]{43}$/);
+    assert.deepEqual(body.checks, {
+      structure: true,
+      authentication: true,
+      iam: true,
+      firestore: true,
+      firebase: true,
+    });
+    assert.equal(body.accountInfo.projectId, "demo-project");
+    assert.equal(body.accountInfo.keyInfo.keyId, serviceAccount.private_key_id);
+    assert.equal(env.SESSIONS.values.size, 1);
+    // The stored session never holds the key in the clear.
+    const [stored] = env.SESSIONS.values.values();
+    assert.doesNotMatch(stored, /PRIVATE KEY/);
+  });
+
+  it("requires a service account file", async () => {
+    const { status, body } = await validate({});
+    assert.equal(status, 400);
+    assert.equal(body.error, "No service account file uploaded");
+  });
+
+  it("rejects files that aren't JSON", async () => {
+    const { status, body } = await validate({
+      serviceAccount: { filename: "account.json", content: "{nope" },
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error, "Invalid JSON format in service account file");
+  });
+
+  it("rejects an invalid databaseId", async () => {
+    const { serviceAccount } = await createServiceAccount();
+    const { status, body } = await validate({
+      serviceAccount: { filename: "account.json", content: serviceAccount },
+      databaseId: "Not_Valid",
+    });
+    assert.equal(status, 400);
+    assert.equal(body.error, "Invalid databaseId: Not_Valid");
+  });
+
+  it("stops at the structure check", async () => {
+    const { serviceAccount } = await createServiceAccount();
+    const { status, body } = await validateAccount({
+      ...serviceAccount,
+      type: "authorized_user",
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.checks.structure, false);
+    assert.equal(body.errors[0].type, "structure");
+    assert.equal(fetchMock.calls.length, 0);
+    assert.equal(env.SESSIONS.values.size, 0);
+  });
+
+  it("reports a rejected token request", async () => {
+    const { serviceAccount } = await createServiceAccount();
+    options.oauth = () =>
+      Response.json(
+        { error: "invalid_grant", error_description: "Invalid JWT Signature." },
+        { status: 400 },
+      );
+
+    const { status, body } = await validateAccount(serviceAccount);
+
+    assert.equal(status, 400);
+    assert.equal(body.checks.authentication, false);
+    assert.deepEqual(body.errors, [
+      {
+        type: "authentication",
+        message: "Failed to authenticate with Google APIs",
+        details: "Token request failed: Invalid JWT Signature.",
+      },
+    ]);
+  });
+
+  it("reports a missing Firebase project", async () => {
+    const { serviceAccount } = await createServiceAccount();
+    options.firebase = () => new Response("", { status: 404 });
+
+    const { status, body } = await validateAccount(serviceAccount);
+
+    assert.equal(status, 400);
+    assert.equal(body.checks.firebase, false);
+    assert.equal(body.checks.firestore, true);
+    assert.equal(
+      body.errors.find((error) => error.type === "firebase").details,
+      "Firebase project not found or not accessible",
+    );
+  });
+
+  it("reports an inactive Firebase project", async () => {
+    const { serviceAccount } = await createServiceAccount();
+    options.firebase = () => Response.json({ state: "DELETED" });
+
+    const { body } = await validateAccount(serviceAccount);
+
+    assert.equal(
+      body.errors.find((error) => error.type === "firebase").details,
+      "Firebase project is not active. Current state: DELETED",
+    );
+  });
+
+  it("reports Firestore access problems without failing validation", async () => {
+    const { serviceAccount } = await createServiceAccount("other-project");
+
+    const { status, body } = await validateAccount(serviceAccount);
+
+    assert.equal(status, 200);
+    assert.equal(body.checks.firestore, false);
+  });
+});
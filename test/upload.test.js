@@ -0,0 +1,552 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it, mock } from "node:test";
+
+import { app, normalizeDocuments } from "../src/index.js";
+import {
+  FakeFirestore,
+  createEnv,
+  createForm,
+  createServiceAccount,
+  googleApis,
+  mockFetch,
+  signIn,
+  silenceConsole,
+} from "./helpers.js";
+
+describe("normalizeDocuments", () => {
+  it("keeps arrays as they are", () => {
+    assert.deepEqual(normalizeDocuments([{ a: 1 }, { a: 2 }]), [
+      { a: 1 },
+      { a: 2 },
+    ]);
+  });
+
+  it("turns an object of objects into documents keyed by id", () => {
+    assert.deepEqual(normalizeDocuments({ x: { a: 1 }, y: { a: 2 } }), [
+      { a: 1, _id: "x" },
+      { a: 2, _id: "y" },
+    ]);
+  });
+
+  it("treats any other object as a single document", () => {
+    assert.deepEqual(normalizeDocuments({ a: 1, b: { c: 2 } }), [
+      { a: 1, b: { c: 2 } },
+    ]);
+  });
+
+  it("rejects empty objects and scalars", () => {
+    assert.throws(() => normalizeDocuments({}), /Empty JSON object/);
+    assert.throws(() => normalizeDocuments("text"), /Invalid JSON structure/);
+  });
+});
+
+describe("POST /upload-collection", () => {
+  let env;
+  let firestore;
+  let fetchMock;
+  let sessionToken;
+
+  beforeEach(async () => {
+    env = createEnv();
+    firestore = new FakeFirestore();
+    fetchMock = mockFetch(googleApis(firestore));
+    silenceConsole();
+    const { serviceAccount } = await createServiceAccount();
+    sessionToken = await signIn(app, env, serviceAccount);
+  });
+
+  afterEach(() => {
+    fetchMock.restore();
+    mock.restoreAll();
+  });
+
+  async function upload(fields, token = sessionToken) {
+    const response = await app.request(
+      "/upload-collection",
+      {
+        method: "POST",
+        headers: token ? { "X-Session-Token": token } : {},
+        body: createForm(fields),
+      },
+      env,
+    );
+    return { status: response.status, body: await response.json() };
+  }
+
+  function documentIds(collection) {
+    return [...firestore.documents.keys()]
+      .filter((path) => path.startsWith(`${collection}/`))
+      .map((path) => path.slice(collection.length + 1));
+  }
+
+  it("uploads an array of documents with generated ids", async () => {
+    const { status, body } = await upload({
+      collections: {
+        filename: "books.json",
+        content: [{ title: "Dune", year: 1965 }, { title: "Emma" }],
+      },
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.equal(body.results[0].collection, "books");
+    assert.equal(body.results[0].created, 2);
+    const ids = documentIds("books");
+    assert.equal(ids.length, 2);
+    for (const id of ids) assert.match(id, /^doc_\d+_\d$/);
+    assert.deepEqual(
+      [...firestore.documents.values()].find((fields) => fields.year),
+      { title: { stringValue: "Dune" }, year: { integerValue: "1965" } },
+    );
+  });
+
+  it("uses the keys of an object of objects as document ids", async () => {
+    const { body } = await upload({
+      collections: {
+        filename: "books.json",
+        content: { dune: { title: "Dune" }, emma: { title: "Emma" } },
+      },
+    });
+
+    assert.equal(body.summary.totalDocumentsUploaded, 2);
+    assert.deepEqual(documentIds("books").sort(), ["dune", "emma"]);
+    assert.deepEqual(firestore.documents.get("books/dune"), {
+      title: { stringValue: "Dune" },
+    });
+  });
+
+  it("uploads a single object as one document", async () => {
+    const { body } = await upload({
+      collections: {
+        filename: "settings.json",
+        content: { theme: "dark", pageSize: 20 },
+      },
+    });
+
+    assert.equal(body.summary.totalDocumentsUploaded, 1);
+    const [id] = documentIds("settings");
+    assert.deepEqual(firestore.documents.get(`settings/${id}`), {
+      theme: { stringValue: "dark" },
+      pageSize: { integerValue: "20" },
+    });
+  });
+
+  it("honours _id in array entries", async () => {
+    await upload({
+      collections: { filename: "books.json", content: [{ _id: "a", n: 1 }] },
+    });
+    assert.deepEqual(firestore.documents.get("books/a"), {
+      n: { integerValue: "1" },
+    });
+  });
+
+  it("reports created and updated documents", async () => {
+    firestore.set("books/a", { n: { integerValue: "0" } });
+
+    const { body } = await upload({
+      collections: {
+        filename: "books.json",
+        content: { a: { n: 1 }, b: { n: 2 } },
+      },
+    });
+
+    assert.deepEqual(
+      body.results[0].writes.sort((x, y) => x.id.localeCompare(y.id)),
+      [
+        { id: "books/a", status: "updated" },
+        { id: "books/b", status: "created" },
+      ],
+    );
+  });
+
+  describe("write modes", () => {
+    beforeEach(() => {
+      firestore.set("books/a", {
+        title: { stringValue: "Old" },
+        year: { integerValue: "1965" },
+      });
+    });
+
+    function uploadBooks(mode) {
+      return upload({
+        collections: {
+          filename: "books.json",
+          content: { a: { title: "Dune" }, b: { title: "Emma" } },
+        },
+        mode,
+      });
+    }
+
+    it("creates missing documents and reports conflicts with create", async () => {
+      const { body } = await uploadBooks("create");
+
+      assert.equal(body.success, true);
+      assert.deepEqual(
+        body.results[0].writes.map(({ id, status }) => [id, status]),
+        [
+          ["books/a", "conflicted"],
+          ["books/b", "created"],
+        ],
+      );
+      assert.equal(body.results[0].conflicted, 1);
+      assert.deepEqual(firestore.documents.get("books/a"), {
+        title: { stringValue: "Old" },
+        year: { integerValue: "1965" },
+      });
+      assert.deepEqual(firestore.documents.get("books/b"), {
+        title: { stringValue: "Emma" },
+      });
+    });
+
+    it("replaces existing documents with overwrite", async () => {
+      const { body } = await uploadBooks("overwrite");
+
+      assert.deepEqual(body.results[0].writes, [
+        { id: "books/a", status: "updated" },
+        { id: "books/b", status: "created" },
+      ]);
+      assert.deepEqual(firestore.documents.get("books/a"), {
+        title: { stringValue: "Dune" },
+      });
+    });
+
+    it("keeps the other fields of existing documents with merge", async () => {
+      const { body } = await uploadBooks("merge");
+
+      assert.deepEqual(body.results[0].writes, [
+        { id: "books/a", status: "updated" },
+        { id: "books/b", status: "created" },
+      ]);
+      assert.deepEqual(firestore.documents.get("books/a"), {
+        title: { stringValue: "Dune" },
+        year: { integerValue: "1965" },
+      });
+      const write = fetchMock.calls.find((call) =>
+        call.url.endsWith(":batchWrite"),
+      );
+      assert.deepEqual(write.body.writes[0].updateMask, {
+        fieldPaths: ["title"],
+      });
+    });
+
+    it("leaves existing documents alone with skip-existing", async () => {
+      const { body } = await uploadBooks("skip-existing");
+
+      assert.deepEqual(body.results[0].writes, [
+        { id: "books/a", status: "skipped" },
+        { id: "books/b", status: "created" },
+      ]);
+      assert.equal(body.results[0].documentsUploaded, 1);
+      assert.deepEqual(firestore.documents.get("books/a"), {
+        title: { stringValue: "Old" },
+        year: { integerValue: "1965" },
+      });
+    });
+
+    it("rejects unknown modes", async () => {
+      const { status, body } = await uploadBooks("upsert");
+
+      assert.equal(status, 400);
+      assert.equal(
+        body.error,
+        "mode must be one of: create, overwrite, merge, skip-existing",
+      );
+    });
+  });
+
+  it("keeps uploading other files when one fails to parse", async () => {
+    const { status, body } = await upload({
+      collections: [
+        { filename: "broken.json", content: "{" },
+        { filename: "empty.json", content: {} },
+        { filename: "books.json", content: [{ title: "Dune" }] },
+      ],
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.success, false);
+    assert.deepEqual(body.summary, {
+      totalFiles: 3,
+      successfulFiles: 1,
+      failedFiles: 2,
+      totalDocumentsUploaded: 1,
+      totalDocumentsFailed: 0,
+      totalDocumentsRetried: 0,
+      totalDocumentsQuarantined: 0,
+    });
+    assert.deepEqual(
+      body.errors.map((error) => [error.collection, error.error]),
+      [
+        ["broken", "Expected property name or '}' in JSON at position 1"],
+        ["empty", "Empty JSON object"],
+      ],
+    );
+  });
+
+  it("writes nothing on a dry run", async () => {
+    const { body } = await upload({
+      collections: { filename: "books.json", content: { a: { n: 1 } } },
+      dryRun: "true",
+    });
+
+    assert.equal(body.dryRun, true);
+    assert.equal(firestore.documents.size, 0);
+    assert.equal(
+      fetchMock.calls.some((call) => call.url.endsWith(":batchWrite")),
+      false,
+    );
+  });
+
+  describe("dry run", () => {
+    beforeEach(() => {
+      firestore.set("books/a", {
+        title: { stringValue: "Dune" },
+        year: { integerValue: "1965" },
+        meta: {
+          mapValue: {
+            fields: {
+              isbn: { stringValue: "0441013597" },
+              pages: { integerValue: "412" },
+            },
+          },
+        },
+      });
+      firestore.set("books/b", { title: { stringValue: "Emma" } });
+    });
+
+    async function preview(mode) {
+      const { body } = await upload({
+        collections: {
+          filename: "books.json",
+          content: {
+            a: { title: "Dune", year: 1966, meta: { pages: 896 } },
+            b: { title: "Emma" },
+            c: { title: "Ulysses" },
+          },
+        },
+        dryRun: "true",
+        mode,
+      });
+      assert.equal(
+        fetchMock.calls.some((call) => call.url.endsWith(":batchWrite")),
+        false,
+      );
+      return body.results[0];
+    }
+
+    it("lists every changed field with overwrite", async () => {
+      const result = await preview("overwrite");
+
+      assert.deepEqual(
+        [result.new, result.changed, result.identical],
+        [1, 1, 1],
+      );
+      assert.deepEqual(result.documents, [
+        {
+          id: "books/a",
+          status: "changed",
+          changes: [
+            { field: "year", before: 1965, after: 1966 },
+            {
+              field: "meta",
+              before: { isbn: "0441013597", pages: 412 },
+              after: { pages: 896 },
+            },
+          ],
+        },
+        { id: "books/b", status: "identical" },
+        { id: "books/c", status: "new" },
+      ]);
+    });
+
+    it("only compares the supplied fields with merge", async () => {
+      const result = await preview("merge");
+
+      assert.deepEqual(result.documents[0], {
+        id: "books/a",
+        status: "changed",
+        changes: [
+          { field: "year", before: 1965, after: 1966 },
+          { field: "meta.pages", before: 412, after: 896 },
+        ],
+      });
+    });
+
+    it("reports existing documents as conflicted with create", async () => {
+      const result = await preview("create");
+
+      assert.deepEqual(
+        result.documents.map(({ id, status }) => [id, status]),
+        [
+          ["books/a", "conflicted"],
+          ["books/b", "conflicted"],
+          ["books/c", "new"],
+        ],
+      );
+    });
+
+    it("reports existing documents as skipped with skip-existing", async () => {
+      const result = await preview("skip-existing");
+
+      assert.deepEqual([result.new, result.skipped, result.changed], [1, 2, 0]);
+    });
+  });
+
+  it("requires a session", async () => {
+    const { status } = await upload(
+      { collections: { filename: "books.json", content: [] } },
+      null,
+    );
+    assert.equal(status, 401);
+  });
+
+  it("requires at least one file", async () => {
+    const { status } = await upload({});
+    assert.equal(status, 400);
+  });
+
+  it("derives document ids from idField", async () => {
+    const { body } = await upload({
+      collections: {
+        filename: "books.json",
+        content: [
+          { slug: "dune", meta: { isbn: 9780441013593 } },
+          { _id: "kept", slug: "emma" },
+        ],
+      },
+      idField: "slug",
+    });
+
+    assert.equal(body.success, true);
+    assert.deepEqual(documentIds("books").sort(), ["dune", "kept"]);
+    // The field stays part of the document.
+    assert.deepEqual(firestore.documents.get("books/dune").slug, {
+      stringValue: "dune",
+    });
+  });
+
+  it("builds document ids from an idField template", async () => {
+    await upload({
+      collections: {
+        filename: "books.json",
+        content: [
+          { slug: "dune", published: { year: 1965 } },
+          { slug: "dune", published: { year: 2021 } },
+        ],
+      },
+      idField: "{slug}-{published.year}",
+    });
+
+    assert.deepEqual(documentIds("books").sort(), ["dune-1965", "dune-2021"]);
+  });
+
+  it("rejects files with ids Firestore can't store", async () => {
+    const cases = [
+      [{ slug: "a/b" }, 'Document 1: document id "a/b" contains "/"'],
+      [{ slug: ".." }, 'Document 1: document id ".." can\'t be "." or ".."'],
+      [
+        { slug: "__x__" },
+        'Document 1: document id "__x__" can\'t start and end with __',
+      ],
+      [
+        { title: "no slug" },
+        "Document 1 has no string or number slug for its id",
+      ],
+    ];
+
+    for (const [document, error] of cases) {
+      const { body } = await upload({
+        collections: { filename: "books.json", content: [document] },
+        idField: "slug",
+      });
+      assert.equal(body.errors[0].error, error);
+    }
+    assert.equal(firestore.documents.size, 0);
+  });
+
+  it("rejects duplicate ids from idField", async () => {
+    const { body } = await upload({
+      collections: {
+        filename: "books.json",
+        content: [{ slug: "dune" }, { slug: "dune" }],
+      },
+      idField: "slug",
+    });
+
+    assert.equal(
+      body.errors[0].error,
+      'Document 2: idField gives the duplicate id "dune"',
+    );
+    assert.equal(firestore.documents.size, 0);
+  });
+
+  it("validates _id as well", async () => {
+    const { body } = await upload({
+      collections: { filename: "books.json", content: [{ _id: "a/b" }] },
+    });
+    assert.equal(
+      body.errors[0].error,
+      'Document 1: document id "a/b" contains "/"',
+    );
+  });
+
+  it("generates Firestore-style ids with autoId", async () => {
+    const { body } = await upload({
+      collections: {
+        filename: "books.json",
+        content: [
+          { title: "Dune" },
+          { _id: "emma", title: "Emma" },
+          { title: "Ubik" },
+        ],
+      },
+      autoId: "true",
+    });
+
+    assert.equal(body.success, true);
+    const ids = body.results[0].writes.map((write) => write.id);
+    assert.match(ids[0], /^books\/[A-Za-z0-9]{20}$/);
+    assert.equal(ids[1], "books/emma");
+    assert.notEqual(ids[0], ids[2]);
+    assert.deepEqual(firestore.documents.get(ids[0]), {
+      title: { stringValue: "Dune" },
+    });
+    // Every document goes through batchWrite; nothing is POSTed one by one.
+    const writes = fetchMock.calls.filter((call) =>
+      call.url.endsWith(":batchWrite"),
+    );
+    assert.equal(writes.length, 1);
+    assert.equal(writes[0].body.writes.length, 3);
+    assert.equal(
+      fetchMock.calls.some((call) => call.url.endsWith("/documents/books")),
+      false,
+    );
+  });
+
+  it("refuses conflicting id options", async () => {
+    const both = await upload({
+      collections: { filename: "books.json", content: [] },
+      idField: "slug",
+      autoId: "true",
+    });
+    const recursive = await upload({
+      collections: { filename: "books.json", content: [] },
+      idField: "slug",
+      recursive: "true",
+    });
+
+    assert.equal(both.status, 400);
+    assert.equal(both.body.error, "idField cannot be combined with autoId");
+    assert.equal(recursive.status, 400);
+  });
+
+  it("sends the OAuth token to Firestore", async () => {
+    await upload({
+      collections: { filename: "books.json", content: [{ title: "Dune" }] },
+    });
+    const write = fetchMock.calls.find((call) =>
+      call.url.endsWith(":batchWrite"),
+    );
+    assert.equal(write.headers.Authorization, "Bearer test-access-token");
+  });
+});